@@ -80,6 +80,10 @@ function renderStats(data) {
             </td>
             <td><span class="stat-badge">${s.containerCount}</span></td>
             <td><span class="stat-badge">${s.tableCount}</span></td>
+            <td style="font-size:0.8rem">
+                ${formatBytes(s.usedBytes || 0)} / ${s.quotaBytes ? formatBytes(s.quotaBytes) : '∞'}
+                <div><a href="#" style="color:var(--admin-primary)" onclick="setUserQuota('${s.userId}', event)">Set quota</a></div>
+            </td>
             <td style="font-size:0.8rem">${new Date(s.createdAt).toLocaleDateString()}</td>
             <td>
                 ${s.userId !== 'dev-master-root' ? `
@@ -91,6 +95,44 @@ function renderStats(data) {
     updateActionBar();
 }
 
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+async function setUserQuota(id, e) {
+    if (e) e.preventDefault();
+    const input = prompt('Quota in MB for this user (0 = unlimited, empty = server default):');
+    if (input === null) return;
+
+    const quotaBytes = input.trim() === '' ? null : Math.round(parseFloat(input) * 1024 * 1024);
+    if (quotaBytes !== null && (isNaN(quotaBytes) || quotaBytes < 0)) {
+        showToast('Invalid quota value', 'error');
+        return;
+    }
+
+    const headers = {
+        'Authorization': `Bearer ${adminState.token}`,
+        'Content-Type': 'application/json'
+    };
+    if (adminState.userId) headers['x-user-id'] = adminState.userId;
+
+    const response = await fetch(`${BASE_URL}/admin/users/${id}/quota`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ quotaBytes })
+    });
+
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({ error: 'Unknown server error' }));
+        showToast(`Failed (${response.status}): ${err.error}`, 'error');
+    } else {
+        showToast('Quota updated', 'success');
+        await fetchStats();
+    }
+}
+
 async function deleteUser(id, e) {
     if (!confirm('Permanently wipe this user and all their data?')) return;
 
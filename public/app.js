@@ -99,11 +99,25 @@ function castValue(value, type) {
         if (typeof value === 'boolean') return value;
         return value.toLowerCase() === 'true';
     }
-    if (type === 'Number') return Number(value);
+    if (type === 'Number' || type === 'Integer') return Number(value);
     if (type === 'Date') return new Date(value).toISOString();
+    if (type === 'Array' || type === 'Object') {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
     return value;
 }
 
+// Schema columns are a type name or a definition object ({ type, required, ... })
+function columnType(schema, col) {
+    const column = (schema || {})[col];
+    if (!column) return 'String';
+    return typeof column === 'string' ? column : column.type;
+}
+
 // --- Auth Actions ---
 async function handleRegister() {
     const { status, data } = await api('/auth/register', { method: 'POST' });
@@ -278,11 +292,11 @@ async function openSchemaModal() {
         <div style="margin-bottom: 1.5rem;">
             <p style="font-size: 0.8rem; color: var(--text-muted); margin-bottom: 1rem;">Current Schema & Types:</p>
             <div class="column-list">
-                ${Object.entries(dataObj.schema || {}).map(([col, type]) => `
+                ${Object.entries(dataObj.schema || {}).map(([col]) => `
                     <div class="column-item">
                         <div class="column-info">
                             <span class="column-name">${col}</span>
-                            <span class="column-type">${type}</span>
+                            <span class="column-type">${columnType(dataObj.schema, col)}</span>
                         </div>
                         ${col !== 'id' ? `
                             <button class="btn-delete-icon" onclick="deleteColumn('${col}')" title="Delete Column">
@@ -298,6 +312,7 @@ async function openSchemaModal() {
                     <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
                         ${schema.map(col => `<span class="badge badge-secondary" style="opacity:0.6">${col}</span>`).join('')}
                     </div>
+                    <button class="btn btn-secondary" style="margin-top:0.75rem" onclick="inferSchema()">Infer Types from Records</button>
                 ` : ''}
             </div>
         </div>
@@ -315,6 +330,14 @@ async function openSchemaModal() {
                 <button class="btn btn-secondary" onclick="addColumn()">Add</button>
             </div>
         </div>
+        <div class="form-group">
+            <label>JSON Schema (draft 2020-12)</label>
+            <textarea id="json-schema-input" rows="6" placeholder='{"type": "object", "properties": {"name": {"type": "string"}}}'></textarea>
+            <div style="display:flex; gap:0.5rem; margin-top:0.5rem">
+                <button class="btn btn-secondary" onclick="loadJsonSchema()">Export Current</button>
+                <button class="btn btn-secondary" onclick="importJsonSchema()">Import (Replace Schema)</button>
+            </div>
+        </div>
     `;
 
     document.getElementById('modal-confirm').style.display = 'none'; // Use inline buttons
@@ -348,6 +371,61 @@ async function addColumn() {
     openSchemaModal(); // Refresh modal
 }
 
+async function inferSchema() {
+    const { container, table } = state.activeContext;
+    const errorEl = document.getElementById('schema-error');
+    errorEl.classList.add('hidden');
+
+    const { status, data } = await api(`/${container}/${table}/_infer`, { method: 'POST', body: JSON.stringify({}) });
+    if (status !== 200) {
+        errorEl.innerText = data.error || 'Failed to infer schema';
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    showToast(data.warnings.length > 0 ? `Schema inferred (${data.warnings.length} conflicting fields skipped)` : 'Schema inferred');
+    await fetchIntrospect();
+    renderTable(); // Refresh background table
+    openSchemaModal(); // Refresh modal
+}
+
+async function loadJsonSchema() {
+    const { container, table } = state.activeContext;
+    const { status, data } = await api(`/${container}/${table}/_jsonschema`);
+    if (status === 200) document.getElementById('json-schema-input').value = JSON.stringify(data, null, 2);
+}
+
+async function importJsonSchema() {
+    const errorEl = document.getElementById('schema-error');
+    errorEl.classList.add('hidden');
+
+    let jsonSchema;
+    try {
+        jsonSchema = JSON.parse(document.getElementById('json-schema-input').value);
+    } catch {
+        errorEl.innerText = 'JSON Schema is not valid JSON';
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    const { container, table } = state.activeContext;
+    const { status, data } = await api(`/${container}/${table}/_jsonschema`, {
+        method: 'PUT',
+        body: JSON.stringify(jsonSchema)
+    });
+
+    if (status !== 200 && status !== 201) {
+        errorEl.innerText = [data.error || 'Failed to import schema', ...(data.errors || [])].join('\n');
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    showToast('Schema imported');
+    await fetchIntrospect();
+    renderTable(); // Refresh background table
+    openSchemaModal(); // Refresh modal
+}
+
 async function deleteColumn(colName) {
     if (!confirm(`Delete column '${colName}'? This will remove it from the validation schema.`)) return;
 
@@ -416,7 +494,7 @@ function renderTable() {
         schemaKeys.forEach(k => {
             const td = document.createElement('td');
             if (isEditing && k !== 'id') {
-                const type = (dataObj.schema || {})[k] || 'String';
+                const type = columnType(dataObj.schema, k);
                 td.innerHTML = `<input type="text" class="inline-edit-input" data-edit-field="${k}" data-edit-type="${type}" value="${row[k] !== undefined ? row[k] : ''}">`;
             } else {
                 td.innerText = row[k] !== undefined ? row[k] : '-';
@@ -476,7 +554,7 @@ function openCreateModal() {
         });
     } else {
         schemaKeys.forEach(col => {
-            const type = (dataObj.schema || {})[col] || 'String';
+            const type = columnType(dataObj.schema, col);
             fields.innerHTML += `
                 <div class="form-group">
                     <label>${col} <span style="font-size:0.7rem; color:var(--text-muted)">(${type})</span></label>
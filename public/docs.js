@@ -0,0 +1,46 @@
+// Renders the tenant's /openapi.json with Swagger UI. Credentials are shared with the
+// test client (same localStorage keys) and sent with the spec request and every "Try it out".
+const CREDENTIAL_KEYS = { userId: 'jdm_test_id', token: 'jdm_test_token', apiKey: 'jdm_test_apiKey' };
+
+function credentials() {
+    return Object.fromEntries(Object.keys(CREDENTIAL_KEYS).map(id => [id, document.getElementById(id).value.trim()]));
+}
+
+// Headers set through Swagger UI's own "Authorize" dialog win over the form
+function withCredentials(request) {
+    const { userId, token, apiKey } = credentials();
+    const has = (name) => Object.keys(request.headers).some(header => header.toLowerCase() === name);
+    if (userId && !has('x-user-id')) request.headers['x-user-id'] = userId;
+    if (token && !has('authorization')) request.headers['Authorization'] = `Bearer ${token}`;
+    if (apiKey && !has('x-api-key')) request.headers['x-api-key'] = apiKey;
+    return request;
+}
+
+function loadDocs() {
+    Object.entries(CREDENTIAL_KEYS).forEach(([id, key]) => localStorage.setItem(key, document.getElementById(id).value.trim()));
+    document.getElementById('docs-status').textContent = '';
+
+    SwaggerUIBundle({
+        url: '/openapi.json',
+        dom_id: '#swagger-ui',
+        requestInterceptor: withCredentials,
+        tryItOutEnabled: true,
+        responseInterceptor: (response) => {
+            if (response.url.endsWith('/openapi.json') && !response.ok) {
+                document.getElementById('docs-status').textContent = `Could not load the API (${response.status}): log in with the test client or fill in your credentials.`;
+            }
+            return response;
+        }
+    });
+}
+
+Object.entries(CREDENTIAL_KEYS).forEach(([id, key]) => {
+    document.getElementById(id).value = localStorage.getItem(key) || '';
+});
+
+document.getElementById('credentials').addEventListener('submit', (event) => {
+    event.preventDefault();
+    loadDocs();
+});
+
+loadDocs();
@@ -12,6 +12,13 @@ const { MongoClient } = require('mongodb');
 const { program } = require('commander');
 const https = require('https');
 const crypto = require('crypto');
+const { getAbsoluteFSPath: swaggerUiPath } = require('swagger-ui-dist');
+const { WebSocketServer, WebSocket } = require('ws');
+const {
+    GraphQLSchema, GraphQLObjectType, GraphQLScalarType, GraphQLList, GraphQLNonNull, GraphQLError,
+    GraphQLID, GraphQLString, GraphQLInt, GraphQLFloat, GraphQLBoolean,
+    parse, validate, execute, getOperationAST, valueFromASTUntyped, Kind
+} = require('graphql');
 require('dotenv').config();
 
 // CLI configuration
@@ -19,6 +26,8 @@ program
     .option('-p, --port <number>', 'Port to run the server on', process.env.PORT || '3000')
     .option('-d, --db-dir <path>', 'Local data directory', path.join(process.cwd(), 'data'))
     .option('--ssl', 'Enable HTTPS/SSL', false)
+    .option('-q, --quota-mb <number>', 'Default storage quota per tenant in MB (0 disables)', process.env.TENANT_QUOTA_MB || '5')
+    .option('--tenant-ttl-days <number>', 'Delete tenants inactive for this many days (off unless set)', process.env.TENANT_TTL_DAYS || '0')
     .parse(process.argv);
 
 const options = program.opts();
@@ -26,14 +35,385 @@ const PORT = parseInt(options.port, 10);
 const DATA_DIR = path.resolve(options.dbDir);
 const STORE_MODE = process.env.STORE_DATA_IN || 'local';
 const JWT_SECRET = process.env.JWT_SECRET || 'super-secret-key';
+const DEFAULT_QUOTA_BYTES = Math.round(parseFloat(options.quotaMb) * 1024 * 1024) || 0;
+const TENANT_TTL_MS = (parseFloat(options.tenantTtlDays) || 0) * 24 * 60 * 60 * 1000;
+const JANITOR_INTERVAL_MS = (parseFloat(process.env.JANITOR_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const SNAPSHOT_LIMIT = parseInt(process.env.SNAPSHOT_LIMIT, 10) || 10;
+const PROTECTED_TENANTS = ['dev-master-root'];
+
+// Per-tenant files in local mode that are not containers
+const TENANT_FILES = ['sessions.json', 'profile.json', 'meta.json'];
 
 const JDM_VERSION = "1.1.0-AUTH-FIX";
 const app = express();
 let db = null;
 let mongoClient = null;
+let sqlite = null;
+
+// Backing maps for STORE_DATA_IN=memory; everything is lost when the process exits
+const memoryStore = {
+    users: new Map(), // userId -> { userId, email, password, name, role, meta, sessions, createdAt }
+    containers: new Map() // userId -> Map(containerName -> data)
+};
+// Named tenant snapshots used by /_reset, kept in process memory in every storage mode
+const snapshots = new Map(); // userId -> Map(snapshotName -> { createdAt, bytes, containers })
+
+const memoryUser = (userId) => {
+    if (!memoryStore.users.has(userId)) {
+        memoryStore.users.set(userId, { userId, sessions: [], meta: {}, createdAt: new Date() });
+    }
+    return memoryStore.users.get(userId);
+};
+
+// ----------------------------------------------------
+// Write Serialization
+// ----------------------------------------------------
+
+// In-process FIFO locks keyed by resource (e.g. "<userId>/<container>")
+const Locks = {
+    tails: new Map(),
+
+    // Resolves with a release function once every earlier holder of `key` has released
+    async acquire(key) {
+        const previous = this.tails.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.tails.set(key, tail);
+        await previous;
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            release();
+            if (this.tails.get(key) === tail) this.tails.delete(key);
+        };
+    },
+
+    async run(key, fn) {
+        const release = await this.acquire(key);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+};
+
+// Write to a sibling temp file, flush it to disk, then rename over the target so readers
+// never observe a truncated file
+const writeFileAtomic = async (filePath, contents) => {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    try {
+        await fs.rename(tmpPath, filePath);
+    } catch (err) {
+        await fs.unlink(tmpPath).catch(() => { });
+        throw err;
+    }
+};
+
+// ----------------------------------------------------
+// MongoDB Row Storage
+// ----------------------------------------------------
+// In mongodb mode every record is its own document in `records`, keyed by
+// userId/container/table and ordered by `seq`. Table-level properties (`_schema`, ...)
+// live in `tables`, and `containers` only holds container-level keys (`_permissions`).
+
+const MongoRows = {
+    records: () => db.collection('records'),
+    tables: () => db.collection('tables'),
+    transactions: null, // false once the server turned out to have no transaction support
+
+    /**
+     * Runs `fn(session)` in a transaction so multi-document writes land all together or not at
+     * all. Standalone servers (no replica set) cannot run transactions; there `fn` runs once
+     * without a session and a warning is logged the first time.
+     */
+    async transaction(fn) {
+        if (this.transactions === false) return fn(undefined);
+        const session = mongoClient.startSession();
+        try {
+            await session.withTransaction(() => fn(session));
+            this.transactions = true;
+        } catch (err) {
+            const unsupported = err.code === 20 || /Transaction numbers are only allowed/.test(err.message);
+            if (this.transactions !== null || !unsupported) throw err;
+            this.transactions = false;
+            console.warn('⚠️ MongoDB has no transaction support (standalone server); container rewrites are not atomic');
+            await fn(undefined);
+        } finally {
+            await session.endSession();
+        }
+    },
+
+    async ensureIndexes() {
+        await this.records().createIndex({ userId: 1, container: 1, table: 1, seq: 1 }, { unique: true });
+        await this.records().createIndex({ userId: 1, container: 1, table: 1, rid: 1 });
+        await this.tables().createIndex({ userId: 1, container: 1, table: 1 }, { unique: true });
+        await db.collection('containers').createIndex({ userId: 1, name: 1 }, { unique: true })
+            .catch(err => console.warn(`⚠️ Could not create containers index: ${err.message}`));
+    },
+
+    // Explodes legacy `containers.data` blobs into row documents
+    async migrateBlobs() {
+        const legacy = await db.collection('containers').find({ data: { $exists: true } }).project({ _id: 1 }).toArray();
+        let migrated = 0;
+        for (const { _id } of legacy) {
+            const doc = await db.collection('containers').findOne({ _id });
+            await this.writeContainer(doc.userId, doc.name, doc.data || {});
+            await db.collection('containers').updateOne({ _id }, { $unset: { data: '' } });
+            migrated++;
+        }
+        if (migrated > 0) console.log(`🔁 Migrated ${migrated} container blob(s) to row-level storage`);
+    },
+
+    // Rebuilds the API-facing table shape: a plain array or { ...props, records }
+    toTableData(meta, records) {
+        return meta.structured ? { ...(meta.props || {}), records } : records;
+    },
+
+    async readTable(userId, container, meta) {
+        const docs = await this.records().find({ userId, container, table: meta.table }).sort({ seq: 1 }).toArray();
+        return this.toTableData(meta, docs.map(d => d.data));
+    },
+
+    async readContainer(userId, name) {
+        const doc = await db.collection('containers').findOne({ userId, name });
+        if (!doc) return null;
+
+        const data = { ...(doc.meta || {}) };
+        const metas = await this.tables().find({ userId, container: name }).toArray();
+        for (const meta of metas) {
+            data[meta.table] = await this.readTable(userId, name, meta);
+        }
+        return data;
+    },
+
+    async writeContainer(userId, name, data) {
+        const meta = {};
+        RESERVED_KEYS.forEach(k => { if (data[k] !== undefined) meta[k] = data[k]; });
+        const tables = listTableEntries(data);
+        const keep = tables.map(([table]) => table);
+
+        await this.transaction(async (session) => {
+            await db.collection('containers').updateOne(
+                { userId, name },
+                { $set: { meta, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+                { upsert: true, session }
+            );
+            for (const [table, tableData] of tables) {
+                await this.writeTable(userId, name, table, tableData, session);
+            }
+            const dropped = await this.tables().find({ userId, container: name, table: { $nin: keep } }, { session }).project({ table: 1 }).toArray();
+            if (dropped.length > 0) await this.dropTables(userId, name, dropped.map(t => t.table), session);
+        });
+    },
+
+    // Diffs the table against stored rows and only writes inserted, changed or removed records
+    async writeTable(userId, container, table, tableData, session = undefined) {
+        const structured = !Array.isArray(tableData);
+        const { records = [], ...props } = structured ? tableData : { records: tableData };
+        const meta = await this.tables().findOne({ userId, container, table }, { session });
+
+        const existing = await this.records().find({ userId, container, table }, { session }).project({ _id: 1, rid: 1, seq: 1, data: 1 }).toArray();
+        const byId = new Map(existing.filter(d => d.rid !== null && d.rid !== undefined).map(d => [d.rid, d]));
+        let nextSeq = existing.reduce((max, d) => Math.max(max, d.seq + 1), meta ? meta.nextSeq || 0 : 0);
+
+        const ops = [];
+        const kept = new Set();
+        for (const record of records) {
+            const doc = record.id !== undefined ? byId.get(record.id) : null;
+            if (doc && !kept.has(String(doc._id))) {
+                kept.add(String(doc._id));
+                if (JSON.stringify(doc.data) !== JSON.stringify(record)) {
+                    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { data: record } } } });
+                }
+            } else {
+                ops.push({ insertOne: { document: { userId, container, table, rid: record.id ?? null, seq: nextSeq++, data: record } } });
+            }
+        }
+        const removed = existing.filter(d => !kept.has(String(d._id))).map(d => d._id);
+        if (removed.length > 0) ops.unshift({ deleteMany: { filter: { _id: { $in: removed } } } });
+        if (ops.length > 0) await this.records().bulkWrite(ops, { ordered: true, session });
+
+        await this.tables().updateOne(
+            { userId, container, table },
+            { $set: { structured, props, nextSeq } },
+            { upsert: true, session }
+        );
+    },
+
+    async dropTables(userId, container, tables, session = undefined) {
+        await this.records().deleteMany({ userId, container, table: { $in: tables } }, { session });
+        await this.tables().deleteMany({ userId, container, table: { $in: tables } }, { session });
+    },
+
+    // Reserves the next insertion position of a table
+    async nextSeq(userId, container, table) {
+        const meta = await this.tables().findOneAndUpdate(
+            { userId, container, table },
+            { $inc: { nextSeq: 1 } },
+            { returnDocument: 'before' }
+        );
+        return meta ? meta.nextSeq || 0 : 0;
+    },
+
+    // Sorts on `data.*` (insertion order breaks ties). Date-typed sort fields are stored as
+    // strings, so those go through an aggregation that converts them before sorting.
+    async findSorted(query, { sort = [], schema = null, fields = null, offset = 0, limit = null }) {
+        const projection = fields
+            ? Object.fromEntries(fields.map(field => [`data.${field}`, 1]))
+            : null;
+        const dateSorts = sort.filter(({ field }) => schemaTypeOf(schema, field) === 'Date');
+
+        if (dateSorts.length === 0) {
+            const order = Object.fromEntries(sort.map(({ field, direction }) => [`data.${field}`, direction]));
+            let cursor = this.records().find(query).sort({ ...order, seq: 1 }).skip(offset);
+            if (limit !== null) cursor = cursor.limit(limit);
+            if (projection) cursor = cursor.project(projection);
+            return cursor.toArray();
+        }
+
+        const converted = {};
+        const order = {};
+        sort.forEach(({ field, direction }, i) => {
+            if (dateSorts.some(d => d.field === field)) {
+                converted[`_sort${i}`] = mongoDateOf(`data.${field}`);
+                order[`_sort${i}`] = direction;
+            } else {
+                order[`data.${field}`] = direction;
+            }
+        });
+        const pipeline = [
+            { $match: query },
+            { $addFields: converted },
+            { $sort: { ...order, seq: 1 } },
+            { $skip: offset }
+        ];
+        if (limit !== null) pipeline.push({ $limit: limit });
+        if (projection) pipeline.push({ $project: projection });
+        return this.records().aggregate(pipeline).toArray();
+    },
+
+    // Keyset pagination over (sort fields..., seq); `seq` is unique per record, so pages
+    // stay stable while records are inserted or deleted around the cursor
+    async findPage(query, { sort = [], schema = null, fields = null, cursor, limit }) {
+        const backwards = cursor.d === 'before' || cursor.d === 'last';
+        const flip = backwards ? -1 : 1;
+        const sortKeys = Object.fromEntries(sort.map(({ field }, i) => [
+            `_sort${i}`,
+            schemaTypeOf(schema, field) === 'Date' ? mongoDateOf(`data.${field}`) : { $ifNull: [`$data.${field}`, null] }
+        ]));
+
+        const pipeline = [{ $match: query }, { $addFields: sortKeys }];
+        if (cursor.d === 'after' || cursor.d === 'before') {
+            pipeline.push({ $match: { $expr: this.keysetExpr(sort, schema, cursor, flip) } });
+        }
+        pipeline.push(
+            { $sort: { ...Object.fromEntries(sort.map(({ direction }, i) => [`_sort${i}`, direction * flip])), seq: flip } },
+            { $limit: limit + 1 }
+        );
+        if (fields) {
+            pipeline.push({ $project: { seq: 1, ...Object.fromEntries(Object.keys(sortKeys).map(key => [key, 1])), ...Object.fromEntries(fields.map(field => [`data.${field}`, 1])) } });
+        }
+
+        const docs = await this.records().aggregate(pipeline).toArray();
+        const more = docs.length > limit;
+        const page = docs.slice(0, limit);
+        if (backwards) page.reverse();
+        return backwards
+            ? { docs: page, hasPrev: more, hasNext: cursor.d === 'before' }
+            : { docs: page, hasPrev: cursor.d === 'after', hasNext: more };
+    },
+
+    // Matches rows strictly after the cursor key in the (possibly flipped) sort order
+    keysetExpr(sort, schema, cursor, flip) {
+        if (typeof cursor.s !== 'number') throw new HttpError(400, 'Invalid cursor');
+        const columns = [
+            ...sort.map(({ field, direction }, i) => ({
+                key: `$_sort${i}`,
+                value: cursor.v[i] !== null && schemaTypeOf(schema, field) === 'Date' ? new Date(cursor.v[i]) : cursor.v[i],
+                direction: direction * flip
+            })),
+            { key: '$seq', value: cursor.s, direction: flip }
+        ];
+        return {
+            $or: columns.map((column, i) => ({
+                $and: [
+                    ...columns.slice(0, i).map(previous => ({ $eq: [previous.key, previous.value] })),
+                    { [column.direction === 1 ? '$gt' : '$lt']: [column.key, column.value] }
+                ]
+            }))
+        };
+    },
+
+    // One $group stage; group keys and field names are positional (g0, sum0...) because
+    // dotted field paths are not valid output field names
+    async aggregate(query, spec, schema) {
+        const value = (field) => (schemaTypeOf(schema, field) === 'Date' ? mongoDateOf(`data.${field}`) : `$data.${field}`);
+        const group = {
+            _id: spec.groupBy.length > 0
+                ? Object.fromEntries(spec.groupBy.map((field, i) => [`g${i}`, { $ifNull: [`$data.${field}`, null] }]))
+                : null,
+            count: { $sum: 1 }
+        };
+        for (const op of AGGREGATE_OPERATORS) {
+            spec[op].forEach((field, i) => { group[`${op}${i}`] = { [`$${op}`]: value(field) }; });
+        }
+
+        const docs = await this.records().aggregate([{ $match: query }, { $group: group }]).toArray();
+        const groups = docs.map(doc => {
+            const result = {
+                key: Object.fromEntries(spec.groupBy.map((field, i) => [field, doc._id[`g${i}`] ?? null])),
+                count: doc.count
+            };
+            for (const op of AGGREGATE_OPERATORS) {
+                result[op] = Object.fromEntries(spec[op].map((field, i) => {
+                    const raw = doc[`${op}${i}`] ?? null;
+                    return [field, raw instanceof Date ? raw.toISOString() : raw];
+                }));
+            }
+            return result;
+        });
+        return sortGroups(groups, spec.groupBy);
+    },
+
+    cursorKey(doc, sort) {
+        return { v: sort.map((_, i) => doc[`_sort${i}`] ?? null), id: doc.data.id ?? null, s: doc.seq };
+    },
+
+    // Unique indexes declared in the table's `_indexes` (plus the implicit one on `id`);
+    // `excludeId` is the row being updated
+    async assertUnique(meta, record, excludeId = null) {
+        for (const { field, unique } of indexDefinitions(meta.props)) {
+            if (!unique) continue;
+            const value = getPath(record, field);
+            if (value === undefined || value === null) continue;
+            const query = { userId: meta.userId, container: meta.container, table: meta.table };
+            query[field === 'id' ? 'rid' : `data.${field}`] = Array.isArray(value) ? { $in: value } : value;
+            if (excludeId !== null) query._id = { $ne: excludeId };
+            if (await this.records().findOne(query, { projection: { _id: 1 } })) {
+                throw new HttpError(409, `Duplicate value for unique index '${field}'`, { field, value });
+            }
+        }
+    },
+
+    // Scopes a record filter (see toMongoFilter) to one table
+    scopedQuery(userId, container, table, filter) {
+        return filter ? { userId, container, table, ...filter } : { userId, container, table };
+    }
+};
 
 // ----------------------------------------------------
-// Storage Engine (Supports Atlas & Local)
+// Storage Engine (Supports Atlas, SQLite, Memory & Local)
 // ----------------------------------------------------
 const Storage = {
     async init() {
@@ -56,6 +436,9 @@ const Storage = {
                 const dbName = urlParts.pathname.split('/')[1] || 'data_tuning_school';
                 db = mongoClient.db(dbName);
                 console.log(`📦 Connected to MongoDB successfully. Database: ${db.databaseName}`);
+
+                await MongoRows.ensureIndexes();
+                await MongoRows.migrateBlobs();
             } catch (err) {
                 console.error('❌ MongoDB Connection Failed!');
                 console.error('Error details:', err.message);
@@ -63,6 +446,45 @@ const Storage = {
                 // Stop the server so you know it's not working
                 process.exit(1);
             }
+        } else if (STORE_MODE === 'sqlite') {
+            // Loaded lazily so the native binding is only required in sqlite mode
+            const Database = require('better-sqlite3');
+            await fsExtra.ensureDir(DATA_DIR);
+            const dbFile = path.join(DATA_DIR, process.env.SQLITE_FILE || 'jdm.sqlite');
+            sqlite = new Database(dbFile);
+            sqlite.pragma('journal_mode = WAL');
+            sqlite.pragma('synchronous = FULL');
+            sqlite.exec(`
+                CREATE TABLE IF NOT EXISTS users (
+                    userId TEXT PRIMARY KEY,
+                    email TEXT,
+                    password TEXT,
+                    name TEXT,
+                    role TEXT,
+                    meta TEXT,
+                    createdAt TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_users_email ON users (email);
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    userId TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (userId);
+                CREATE TABLE IF NOT EXISTS containers (
+                    userId TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    updatedAt TEXT NOT NULL,
+                    PRIMARY KEY (userId, name)
+                );
+            `);
+            // Databases created before tenant metadata existed lack the meta column
+            const userColumns = sqlite.prepare('PRAGMA table_info(users)').all().map(c => c.name);
+            if (!userColumns.includes('meta')) sqlite.exec('ALTER TABLE users ADD COLUMN meta TEXT');
+            console.log(`🗄️ Using SQLite Storage: ${dbFile}`);
+        } else if (STORE_MODE === 'memory') {
+            console.log(`🧠 Using In-Memory Storage (data is lost on restart)`);
         } else {
             await fsExtra.ensureDir(DATA_DIR);
             console.log(`📂 Using Local Storage: ${DATA_DIR}`);
@@ -91,6 +513,16 @@ const Storage = {
                 await db.collection('users').insertOne(devUser);
                 console.log(`👤 Developer user seeded in MongoDB`);
             }
+        } else if (STORE_MODE === 'sqlite') {
+            const existing = sqlite.prepare('SELECT userId FROM users WHERE email = ?').get(devEmail);
+            if (!existing) {
+                sqlite.prepare('INSERT OR IGNORE INTO users (userId, email, password, name, role, createdAt) VALUES (?, ?, ?, ?, ?, ?)')
+                    .run(devUser.userId, devUser.email, devUser.password, devUser.name, devUser.role, devUser.createdAt.toISOString());
+                console.log(`👤 Developer user seeded in SQLite`);
+            }
+        } else if (STORE_MODE === 'memory') {
+            memoryStore.users.set(devUser.userId, { ...devUser, sessions: [], meta: {} });
+            console.log(`👤 Developer user seeded in Memory`);
         } else {
             const devDir = path.join(DATA_DIR, devUser.userId);
             await fsExtra.ensureDir(devDir);
@@ -106,6 +538,11 @@ const Storage = {
         if (STORE_MODE === 'mongodb') {
             const user = await db.collection('users').findOne({ userId });
             return user ? user.sessions || [] : [];
+        } else if (STORE_MODE === 'sqlite') {
+            return sqlite.prepare('SELECT data FROM sessions WHERE userId = ? ORDER BY id').all(userId).map(r => JSON.parse(r.data));
+        } else if (STORE_MODE === 'memory') {
+            const user = memoryStore.users.get(userId);
+            return user ? structuredClone(user.sessions) : [];
         } else {
             const sessionPath = path.join(DATA_DIR, userId, 'sessions.json');
             try {
@@ -124,19 +561,34 @@ const Storage = {
                 },
                 { upsert: true }
             );
+        } else if (STORE_MODE === 'sqlite') {
+            sqlite.transaction(() => {
+                sqlite.prepare('INSERT OR IGNORE INTO users (userId, createdAt) VALUES (?, ?)').run(userId, new Date().toISOString());
+                sqlite.prepare('INSERT INTO sessions (userId, data) VALUES (?, ?)').run(userId, JSON.stringify(sessionData));
+            })();
+        } else if (STORE_MODE === 'memory') {
+            memoryUser(userId).sessions.push(structuredClone(sessionData));
         } else {
-            const userDir = path.join(DATA_DIR, userId);
-            await fsExtra.ensureDir(userDir);
-            const sessions = await this.getUserSessions(userId);
-            sessions.push(sessionData);
-            await fs.writeFile(path.join(userDir, 'sessions.json'), JSON.stringify(sessions, null, 2));
+            await Locks.run(`${userId}/sessions.json`, async () => {
+                const userDir = path.join(DATA_DIR, userId);
+                await fsExtra.ensureDir(userDir);
+                const sessions = await this.getUserSessions(userId);
+                sessions.push(sessionData);
+                await writeFileAtomic(path.join(userDir, 'sessions.json'), JSON.stringify(sessions, null, 2));
+            });
         }
     },
 
     async readContainer(userId, name) {
         if (STORE_MODE === 'mongodb') {
-            const doc = await db.collection('containers').findOne({ userId, name });
-            return doc ? doc.data : null;
+            return MongoRows.readContainer(userId, name);
+        } else if (STORE_MODE === 'sqlite') {
+            const row = sqlite.prepare('SELECT data FROM containers WHERE userId = ? AND name = ?').get(userId, name);
+            return row ? JSON.parse(row.data) : null;
+        } else if (STORE_MODE === 'memory') {
+            const containers = memoryStore.containers.get(userId);
+            // Callers mutate what they read, so never hand out the stored object
+            return containers && containers.has(name) ? structuredClone(containers.get(name)) : null;
         } else {
             try {
                 const content = await fs.readFile(path.join(DATA_DIR, userId, `${name}.json`), 'utf8');
@@ -145,36 +597,65 @@ const Storage = {
         }
     },
 
-    async writeContainer(userId, name, data) {
+    // Record-level writes pass `reindex: false` and update the table indexes themselves;
+    // `checkQuota: false` is for /_reset, which checks the restored tenant as a whole first
+    async writeContainer(userId, name, data, { reindex = true, checkQuota = true } = {}) {
+        const bytes = checkQuota ? await Quota.assertCanWrite(userId, name, data) : byteSize(data);
+
         if (STORE_MODE === 'mongodb') {
-            await db.collection('containers').updateOne(
-                { userId, name },
-                { $set: { data, updatedAt: new Date() } },
-                { upsert: true }
-            );
+            await MongoRows.writeContainer(userId, name, data);
+        } else if (STORE_MODE === 'sqlite') {
+            sqlite.prepare(`
+                INSERT INTO containers (userId, name, data, updatedAt) VALUES (?, ?, ?, ?)
+                ON CONFLICT (userId, name) DO UPDATE SET data = excluded.data, updatedAt = excluded.updatedAt
+            `).run(userId, name, JSON.stringify(data), new Date().toISOString());
+        } else if (STORE_MODE === 'memory') {
+            memoryUser(userId);
+            if (!memoryStore.containers.has(userId)) memoryStore.containers.set(userId, new Map());
+            memoryStore.containers.get(userId).set(name, structuredClone(data));
         } else {
             const userDir = path.join(DATA_DIR, userId);
             await fsExtra.ensureDir(userDir);
-            await fs.writeFile(path.join(userDir, `${name}.json`), JSON.stringify(data, null, 2));
+            await writeFileAtomic(path.join(userDir, `${name}.json`), JSON.stringify(data, null, 2));
+        }
+        Quota.record(userId, name, bytes);
+        if (reindex) {
+            TableIndexes.invalidate(userId, name);
+            GraphQLSchemas.invalidate(userId);
         }
     },
 
     async deleteContainer(userId, name) {
         if (STORE_MODE === 'mongodb') {
             await db.collection('containers').deleteOne({ userId, name });
+            await MongoRows.records().deleteMany({ userId, container: name });
+            await MongoRows.tables().deleteMany({ userId, container: name });
+        } else if (STORE_MODE === 'sqlite') {
+            sqlite.prepare('DELETE FROM containers WHERE userId = ? AND name = ?').run(userId, name);
+        } else if (STORE_MODE === 'memory') {
+            const containers = memoryStore.containers.get(userId);
+            if (containers) containers.delete(name);
         } else {
             await fs.unlink(path.join(DATA_DIR, userId, `${name}.json`)).catch(() => { });
         }
+        Quota.record(userId, name, 0);
+        TableIndexes.invalidate(userId, name);
+        GraphQLSchemas.invalidate(userId);
     },
 
     async listContainers(userId) {
         if (STORE_MODE === 'mongodb') {
             const docs = await db.collection('containers').find({ userId }).project({ name: 1 }).toArray();
             return docs.map(d => d.name);
+        } else if (STORE_MODE === 'sqlite') {
+            return sqlite.prepare('SELECT name FROM containers WHERE userId = ? ORDER BY name').all(userId).map(r => r.name);
+        } else if (STORE_MODE === 'memory') {
+            const containers = memoryStore.containers.get(userId);
+            return containers ? [...containers.keys()] : [];
         } else {
             try {
                 const files = await fs.readdir(path.join(DATA_DIR, userId));
-                return files.filter(f => f.endsWith('.json') && f !== 'sessions.json').map(f => f.replace('.json', ''));
+                return files.filter(f => f.endsWith('.json') && !TENANT_FILES.includes(f)).map(f => f.replace('.json', ''));
             } catch { return []; }
         }
     },
@@ -183,691 +664,4653 @@ const Storage = {
         if (STORE_MODE === 'mongodb') {
             await db.collection('users').deleteOne({ userId });
             await db.collection('containers').deleteMany({ userId });
+            await MongoRows.records().deleteMany({ userId });
+            await MongoRows.tables().deleteMany({ userId });
+        } else if (STORE_MODE === 'sqlite') {
+            sqlite.transaction(() => {
+                sqlite.prepare('DELETE FROM users WHERE userId = ?').run(userId);
+                sqlite.prepare('DELETE FROM sessions WHERE userId = ?').run(userId);
+                sqlite.prepare('DELETE FROM containers WHERE userId = ?').run(userId);
+            })();
+        } else if (STORE_MODE === 'memory') {
+            memoryStore.users.delete(userId);
+            memoryStore.containers.delete(userId);
         } else {
             await fsExtra.remove(path.join(DATA_DIR, userId)).catch(() => { });
         }
+        Quota.forget(userId);
+        Activity.forget(userId);
+        TableIndexes.invalidate(userId);
+        GraphQLSchemas.invalidate(userId);
+        ChangeFeed.close(userId);
+        snapshots.delete(userId);
     },
 
     async updateUserId(oldId, newId) {
         if (STORE_MODE === 'mongodb') {
             await db.collection('users').updateOne({ userId: oldId }, { $set: { userId: newId } });
             await db.collection('containers').updateMany({ userId: oldId }, { $set: { userId: newId } });
+            await MongoRows.records().updateMany({ userId: oldId }, { $set: { userId: newId } });
+            await MongoRows.tables().updateMany({ userId: oldId }, { $set: { userId: newId } });
+        } else if (STORE_MODE === 'sqlite') {
+            sqlite.transaction(() => {
+                sqlite.prepare('UPDATE users SET userId = ? WHERE userId = ?').run(newId, oldId);
+                sqlite.prepare('UPDATE sessions SET userId = ? WHERE userId = ?').run(newId, oldId);
+                sqlite.prepare('UPDATE containers SET userId = ? WHERE userId = ?').run(newId, oldId);
+            })();
+        } else if (STORE_MODE === 'memory') {
+            const user = memoryStore.users.get(oldId);
+            if (user) memoryStore.users.set(newId, { ...user, userId: newId });
+            if (memoryStore.containers.has(oldId)) memoryStore.containers.set(newId, memoryStore.containers.get(oldId));
+            memoryStore.users.delete(oldId);
+            memoryStore.containers.delete(oldId);
         } else {
             await fsExtra.move(path.join(DATA_DIR, oldId), path.join(DATA_DIR, newId));
         }
-    }
-};
+        Quota.forget(oldId);
+        Activity.forget(oldId);
+        TableIndexes.invalidate(oldId);
+        GraphQLSchemas.invalidate(oldId);
+        ChangeFeed.close(oldId);
+        if (snapshots.has(oldId)) snapshots.set(newId, snapshots.get(oldId));
+        snapshots.delete(oldId);
+    },
 
-// ----------------------------------------------------
-// Express Middleware
-// ----------------------------------------------------
-app.use(cors());
-app.use(express.json({ limit: '5mb' }));
-app.use(cookieParser());
-app.use(express.static(path.join(__dirname, 'public')));
-// Consolidating all dashboard assets to /public
+    // ---- Table & record access (server-side queries in mongodb mode) ----
 
-// JWT Authentication Middleware
-const renderError = (res, status, message) => {
-    if (res.req.headers['accept']?.includes('text/html')) {
-        return res.status(status).send(`
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <title>Unauthorized - JDM Mocker</title>
-                <style>
-                    body { background: #0f172a; color: #f8fafc; font-family: 'Inter', system-ui, sans-serif; display: flex; align-items: center; justify-content: center; height: 100vh; margin: 0; }
-                    .card { background: #1e293b; padding: 2.5rem; border-radius: 16px; box-shadow: 0 25px 50px -12px rgba(0,0,0,0.5); text-align: center; max-width: 450px; border: 1px solid #334155; }
-                    h1 { color: #f87171; font-size: 1.75rem; margin-bottom: 1rem; font-weight: 800; }
-                    p { color: #94a3b8; line-height: 1.6; font-size: 0.95rem; }
-                    .code { background: #0f172a; padding: 1.25rem; border-radius: 10px; font-family: 'Fira Code', monospace; color: #38bdf8; margin: 1.5rem 0; word-break: break-all; border: 1px solid #1e293b; font-size: 0.85rem; }
-                    .btn { display: inline-block; background: #3b82f6; color: white; padding: 0.75rem 1.5rem; border-radius: 8px; text-decoration: none; font-weight: 600; margin-top: 1rem; transition: background 0.2s; }
-                    .btn:hover { background: #2563eb; }
-                </style>
-            </head>
-            <body>
-                <div class="card">
-                    <h1>${status === 401 ? '🔒 Access Denied' : '⚠️ Error'}</h1>
-                    <p>It seems you are trying to access a protected JDM resource without a valid session.</p>
-                    <div class="code">{"error": "${message}"}</div>
-                    <a href="/index.html" class="btn">Go to Dashboard</a>
-                </div>
-            </body>
-            </html>
-        `);
-    }
-    return res.status(status).json({ error: message });
-};
+    // Returns { structured, props } where props are the table-level keys (`_schema`, ...)
+    async getTableInfo(userId, container, table) {
+        if (STORE_MODE === 'mongodb') {
+            const meta = await MongoRows.tables().findOne({ userId, container, table });
+            return meta ? { structured: meta.structured, props: meta.props || {} } : null;
+        } else {
+            const data = await this.readContainer(userId, container);
+            if (!data || !data[table]) return null;
+            const structured = !Array.isArray(data[table]);
+            const { records, ...props } = structured ? data[table] : {};
+            return { structured, props };
+        }
+    },
 
-const authenticate = async (req, res, next) => {
-    const normalizedPath = (req.path.replace(/\/$/, '') || '/').toLowerCase();
-    const authPaths = [
-        '/auth/register',
-        '/auth/login',
-        '/dev-admin',
-        '/auth/dev-login',
-        '/favicon.ico',
-        '/admin.html',
-        '/admin-app.js',
-        '/admin-style.css',
-        '/crud-example',
-        '/crud-xample', // Failsafe for user typo
-        '/index.html',
-        '/app.js',
-        '/style.css'
-    ];
+    // Tables of a container with their table-level props: [{ table, props }]
+    async listTables(userId, container) {
+        if (STORE_MODE === 'mongodb') {
+            const metas = await MongoRows.tables().find({ userId, container }).toArray();
+            return metas.map(meta => ({ table: meta.table, props: meta.props || {} }));
+        } else {
+            const data = await this.readContainer(userId, container) || {};
+            return Object.keys(data).filter(table => !RESERVED_KEYS.includes(table)).map(table => {
+                const { records, ...props } = Array.isArray(data[table]) ? {} : data[table];
+                return { table, props };
+            });
+        }
+    },
 
-    if (authPaths.includes(normalizedPath) || normalizedPath.startsWith('/public/')) {
-        return next();
-    }
+    // Creates an empty table; structured ({ ...props, records }) when props are given
+    async createTable(userId, container, table, props = null) {
+        if (STORE_MODE === 'mongodb') {
+            await db.collection('containers').updateOne(
+                { userId, name: container },
+                { $setOnInsert: { meta: {}, createdAt: new Date() }, $set: { updatedAt: new Date() } },
+                { upsert: true }
+            );
+            await MongoRows.tables().updateOne(
+                { userId, container, table },
+                { $setOnInsert: { structured: !!props, props: props || {}, nextSeq: 0 } },
+                { upsert: true }
+            );
+        } else {
+            const data = await this.readContainer(userId, container) || {};
+            data[table] = props ? { ...props, records: [] } : [];
+            await this.writeContainer(userId, container, data);
+        }
+        GraphQLSchemas.invalidate(userId);
+        return { structured: !!props, props: props || {} };
+    },
 
-    // 1. Identification
-    let userId = req.headers['x-user-id'];
-    const apiKey = req.headers['x-api-key'];
-    const token = req.headers['authorization']?.split(' ')[1] ||
-        req.headers['csrf-token'] ||
-        req.headers['x-csrf-token'] ||
-        req.cookies.auth_token;
+    // Filters, searches, sorts and pages a table; returns { total, records } (plus cursor edges)
+    async queryRecords(userId, container, table, { filters = [], query: filterDocument = null, search = null, sort = [], fields = null, cursor = null, offset = 0, limit = null, withDeleted = true } = {}) {
+        // `search` (the ?q= text) ranks by relevance unless a sort or cursor fixes the order
+        const ranked = search && sort.length === 0 && !cursor;
+        if (STORE_MODE === 'mongodb') {
+            const meta = await MongoRows.tables().findOne({ userId, container, table });
+            if (!meta) throw tableNotFound(table);
+            const schema = meta.props && meta.props._schema;
+            const clauses = [toMongoFilter(filters, schema), filterDocument && toMongoQuery(filterDocument)].filter(Boolean);
+            if (hidesDeleted(meta.props, withDeleted)) clauses.push({ 'data.deletedAt': null });
+            let scores = null;
+            if (search) {
+                const index = await SearchIndex.get(userId, container, table, schema, IndexVersions.get(userId, container), async () => {
+                    const docs = await MongoRows.records().find({ userId, container, table }).project({ data: 1 }).toArray();
+                    return docs.map(d => d.data);
+                });
+                scores = SearchIndex.search(index, search);
+                clauses.push({ rid: { $in: [...scores.keys()] } });
+            }
+            const query = MongoRows.scopedQuery(userId, container, table, clauses.length > 1 ? { $and: clauses } : clauses[0]);
+            const total = await MongoRows.records().countDocuments(query);
+            if (cursor) {
+                const { docs, hasPrev, hasNext } = await MongoRows.findPage(query, { sort, schema, fields, cursor, limit });
+                const edges = docs.length > 0
+                    ? { first: MongoRows.cursorKey(docs[0], sort), last: MongoRows.cursorKey(docs[docs.length - 1], sort) }
+                    : null;
+                return { total, records: docs.map(d => d.data), hasPrev, hasNext, edges };
+            }
+            if (ranked) {
+                // Relevance is computed in process, so rank the (already narrowed) matches here
+                const docs = await MongoRows.findSorted(query, { fields });
+                const records = rankByScore(docs.map(d => d.data), scores);
+                return { total, records: records.slice(offset, limit === null ? undefined : offset + limit) };
+            }
+            const docs = await MongoRows.findSorted(query, { sort, schema, fields, offset, limit });
+            return { total, records: docs.map(d => d.data) };
+        } else {
+            const version = IndexVersions.get(userId, container);
+            const data = await this.readContainer(userId, container);
+            if (!data || !data[table]) throw tableNotFound(table);
+
+            const schema = Array.isArray(data[table]) ? null : data[table]._schema;
+            const tableRecords = getTableRecords(data[table]);
+            let records = tableRecords;
+            // `filters` are parseQueryFilters conditions, typed by the table schema
+            if (filters.length > 0) {
+                const index = FieldIndex.get(userId, container, table, data[table], version);
+                records = FieldIndex.candidates(index, tableRecords, filters, schema) || tableRecords;
+                records = records.filter(record => matchesFilters(record, filters, schema));
+            }
+            // `query` is a filter document already checked by validateQuery (POST _query, GraphQL)
+            if (filterDocument) {
+                records = records.filter(record => matchesQuery(record, filterDocument));
+            }
+            // `withDeleted: false` hides soft-deleted records of tables with soft delete on
+            if (hidesDeleted(data[table], withDeleted)) {
+                records = records.filter(record => !isDeleted(record));
+            }
+            if (search) {
+                const index = await SearchIndex.get(userId, container, table, schema, version, async () => tableRecords);
+                const scores = SearchIndex.search(index, search);
+                records = records.filter(record => scores.has(record.id));
+                if (ranked) records = rankByScore(records, scores);
+            }
+            records = sortRecords(records, sort, schema);
+            // A decoded `cursor` locates the page by keyset instead of `offset` and reports its edges
+            if (cursor) {
+                const { start, end } = cursorWindow(records, cursor, sort, schema, limit);
+                const page = records.slice(start, end);
+                const edges = page.length > 0
+                    ? { first: cursorKey(page[0], start, sort, schema), last: cursorKey(page[page.length - 1], end - 1, sort, schema) }
+                    : null;
+                return {
+                    total: records.length,
+                    records: page.map(record => projectRecord(record, fields)),
+                    hasPrev: start > 0,
+                    hasNext: end < records.length,
+                    edges
+                };
+            }
+            // `fields` (parseFields) trims the returned records
+            const page = records.slice(offset, limit === null ? undefined : offset + limit);
+            return { total: records.length, records: page.map(record => projectRecord(record, fields)) };
+        }
+    },
 
-    // 2. Authentication logic
-    if (apiKey && apiKey === userId) {
-        // Direct API Key access
-        req.userId = userId;
-        req.userRole = 'admin';
-        return next();
-    }
+    // `spec` comes from parseAggregateSpec; returns [{ key, count, sum, avg, min, max }] per group
+    async aggregateRecords(userId, container, table, { filters = [], spec, withDeleted = true }) {
+        if (STORE_MODE === 'mongodb') {
+            const meta = await MongoRows.tables().findOne({ userId, container, table });
+            if (!meta) throw tableNotFound(table);
+            const schema = meta.props && meta.props._schema;
+            assertAggregatable(spec, schema);
+            const clauses = [toMongoFilter(filters, schema), hidesDeleted(meta.props, withDeleted) && { 'data.deletedAt': null }].filter(Boolean);
+            const query = MongoRows.scopedQuery(userId, container, table, clauses.length > 1 ? { $and: clauses } : clauses[0]);
+            return MongoRows.aggregate(query, spec, schema);
+        } else {
+            const version = IndexVersions.get(userId, container);
+            const data = await this.readContainer(userId, container);
+            if (!data || !data[table]) throw tableNotFound(table);
+
+            const schema = Array.isArray(data[table]) ? null : data[table]._schema;
+            assertAggregatable(spec, schema);
+            const tableRecords = getTableRecords(data[table]);
+            const index = FieldIndex.get(userId, container, table, data[table], version);
+            const candidates = FieldIndex.candidates(index, tableRecords, filters, schema) || tableRecords;
+            const hidden = hidesDeleted(data[table], withDeleted);
+            const matches = candidates.filter(record => matchesFilters(record, filters, schema) && !(hidden && isDeleted(record)));
+            return aggregateInMemory(matches, spec, schema);
+        }
+    },
 
-    if (token) {
-        try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            // Derive identity from token if header is missing
-            if (!userId) userId = decoded.userId;
+    async getRecord(userId, container, table, id) {
+        if (STORE_MODE === 'mongodb') {
+            const doc = await MongoRows.records().findOne({ userId, container, table, rid: { $in: idCandidates(id) } });
+            if (doc) return doc.data;
+            if (!await MongoRows.tables().findOne({ userId, container, table })) throw tableNotFound(table);
+        } else {
+            const version = IndexVersions.get(userId, container);
+            const data = await this.readContainer(userId, container);
+            if (!data || !data[table]) throw tableNotFound(table);
+            const records = getTableRecords(data[table]);
+            const position = FieldIndex.positionOf(FieldIndex.get(userId, container, table, data[table], version), records, id);
+            if (position !== -1) return records[position];
+        }
+        throw new HttpError(404, 'Record not found');
+    },
 
-            if (decoded.userId !== userId) {
-                throw new Error('Token mismatch');
+    // Inserts and updates throw 409 when they would break a unique index (see FieldIndex).
+    // A record without an id gets the next value of an auto-increment primary key.
+    async insertRecord(userId, container, table, record) {
+        let position = null;
+        if (STORE_MODE === 'mongodb') {
+            const meta = await MongoRows.tables().findOne({ userId, container, table });
+            if (!meta) throw tableNotFound(table);
+            const primaryKey = primaryKeyOf(meta.props);
+            // The counter only moves once the checks passed, so rejected inserts do not use up ids
+            const generated = record.id === undefined && primaryKey.strategy === 'autoIncrement';
+            if (generated) record.id = primaryKey.next;
+            await MongoRows.assertUnique(meta, record);
+            const bytes = await Quota.assertCanGrow(userId, container, byteSize(record) + 1);
+            if (generated) {
+                const before = await MongoRows.tables().findOneAndUpdate(
+                    { userId, container, table },
+                    { $inc: { 'props._primaryKey.next': 1 } },
+                    { returnDocument: 'before' }
+                );
+                record.id = before.props._primaryKey.next;
+            } else if (typeof record.id === 'number' && primaryKey.strategy === 'autoIncrement') {
+                await MongoRows.tables().updateOne({ userId, container, table }, { $max: { 'props._primaryKey.next': record.id + 1 } });
             }
-            req.userId = userId;
-            req.userRole = decoded.role;
-            return next();
-        } catch (err) {
-            // If token is invalid/expired, we might fall back or error
-            if (userId) return renderError(res, 401, 'Invalid or expired session');
+            const seq = await MongoRows.nextSeq(userId, container, table);
+            await MongoRows.records().insertOne({ userId, container, table, rid: record.id ?? null, seq, data: record });
+            Quota.record(userId, container, bytes);
+        } else {
+            const version = IndexVersions.get(userId, container);
+            const data = await this.readContainer(userId, container);
+            if (!data || !data[table]) throw tableNotFound(table);
+            const records = getTableRecords(data[table]);
+            const primaryKey = primaryKeyOf(Array.isArray(data[table]) ? {} : data[table]);
+            if (record.id === undefined && primaryKey.strategy === 'autoIncrement') record.id = primaryKey.next;
+            FieldIndex.assertUnique(FieldIndex.get(userId, container, table, data[table], version), record);
+            if (primaryKey.strategy === 'autoIncrement' && typeof record.id === 'number') primaryKey.next = Math.max(primaryKey.next, record.id + 1);
+            position = records.push(record) - 1;
+            await this.writeContainer(userId, container, data, { reindex: false });
         }
-    }
+        TableIndexes.recordWritten(userId, container, table, { next: record, position });
+        ChangeFeed.recordWritten(userId, container, table, { next: record });
+        return record;
+    },
 
-    // 3. Final validation
-    if (!userId) {
-        console.warn(`[AUTH] Blocked ${req.method} ${req.path} - Missing Identity`);
-        return renderError(res, 401, 'Unauthorized: Missing User ID or valid Session');
-    }
+    // Replaces the stored record with `await next(current, props)`; `next` may throw to abort
+    async mutateRecord(userId, container, table, id, next) {
+        if (STORE_MODE === 'mongodb') {
+            const meta = await MongoRows.tables().findOne({ userId, container, table });
+            if (!meta) throw tableNotFound(table);
+            const doc = await MongoRows.records().findOne({ userId, container, table, rid: { $in: idCandidates(id) } });
+            if (!doc) throw new HttpError(404, 'Record not found');
+
+            const record = await next(doc.data, meta.props || {});
+            await MongoRows.assertUnique(meta, record, doc._id);
+            const bytes = await Quota.assertCanGrow(userId, container, byteSize(record) - byteSize(doc.data));
+            await MongoRows.records().updateOne({ _id: doc._id }, { $set: { data: record, rid: record.id ?? null } });
+            Quota.record(userId, container, bytes);
+            TableIndexes.recordWritten(userId, container, table, { previous: doc.data, next: record });
+            ChangeFeed.recordWritten(userId, container, table, { previous: doc.data, next: record }, meta.props);
+            return record;
+        } else {
+            const version = IndexVersions.get(userId, container);
+            const data = await this.readContainer(userId, container);
+            if (!data || !data[table]) throw tableNotFound(table);
+            const records = getTableRecords(data[table]);
+            const index = FieldIndex.get(userId, container, table, data[table], version);
+            const idx = FieldIndex.positionOf(index, records, id);
+            if (idx === -1) throw new HttpError(404, 'Record not found');
+            const { records: _, ...props } = Array.isArray(data[table]) ? {} : data[table];
+            const previous = records[idx];
+            const record = await next(previous, props);
+            FieldIndex.assertUnique(index, record, idx);
+            records[idx] = record;
+            await this.writeContainer(userId, container, data, { reindex: false });
+            TableIndexes.recordWritten(userId, container, table, { previous, next: record, position: idx });
+            ChangeFeed.recordWritten(userId, container, table, { previous, next: record }, props);
+            return record;
+        }
+    },
 
-    console.warn(`[AUTH] Blocked ${req.method} ${req.path} - Forbidden for User ${userId}`);
-    return renderError(res, 401, 'Unauthorized: Access Denied');
-};
+    async deleteRecord(userId, container, table, id) {
+        if (STORE_MODE === 'mongodb') {
+            const doc = await MongoRows.records().findOneAndDelete({ userId, container, table, rid: { $in: idCandidates(id) } });
+            if (!doc) {
+                if (!await MongoRows.tables().findOne({ userId, container, table })) throw tableNotFound(table);
+                throw new HttpError(404, 'Record not found');
+            }
+            Quota.record(userId, container, await Quota.assertCanGrow(userId, container, -(byteSize(doc.data) + 1)));
+            TableIndexes.recordWritten(userId, container, table, { previous: doc.data });
+            ChangeFeed.recordWritten(userId, container, table, { previous: doc.data });
+        } else {
+            const version = IndexVersions.get(userId, container);
+            const data = await this.readContainer(userId, container);
+            if (!data || !data[table]) throw tableNotFound(table);
+            const records = getTableRecords(data[table]);
+            const idx = FieldIndex.positionOf(FieldIndex.get(userId, container, table, data[table], version), records, id);
+            if (idx === -1) throw new HttpError(404, 'Record not found');
+            const [removed] = records.splice(idx, 1);
+            await this.writeContainer(userId, container, data, { reindex: false });
+            TableIndexes.recordWritten(userId, container, table, { previous: removed, position: idx });
+            ChangeFeed.recordWritten(userId, container, table, { previous: removed });
+        }
+    },
 
-// ----------------------------------------------------
-// Auth Routes
-// ----------------------------------------------------
+    async listUsers() {
+        if (STORE_MODE === 'mongodb') {
+            return db.collection('users').find({}, { projection: { _id: 0, userId: 1, createdAt: 1 } }).toArray();
+        } else if (STORE_MODE === 'sqlite') {
+            return sqlite.prepare('SELECT userId, createdAt FROM users').all();
+        } else if (STORE_MODE === 'memory') {
+            return [...memoryStore.users.values()].map(u => ({ userId: u.userId, createdAt: u.createdAt }));
+        } else {
+            const users = [];
+            for (const d of await fs.readdir(DATA_DIR)) {
+                try {
+                    const stat = await fs.stat(path.join(DATA_DIR, d));
+                    // Not every filesystem records birthtime
+                    if (stat.isDirectory()) users.push({ userId: d, createdAt: stat.birthtimeMs ? stat.birthtime : stat.mtime });
+                } catch { }
+            }
+            return users;
+        }
+    },
 
-app.post('/auth/register', async (req, res) => {
-    const userId = uuidv4();
-    if (STORE_MODE === 'mongodb') {
-        // Initialize user in MongoDB
-        await db.collection('users').insertOne({ userId, sessions: [], createdAt: new Date() });
-    } else {
+    async userExists(userId) {
+        if (STORE_MODE === 'mongodb') {
+            return !!await db.collection('users').findOne({ userId }, { projection: { _id: 1 } });
+        } else if (STORE_MODE === 'sqlite') {
+            return !!sqlite.prepare('SELECT 1 FROM users WHERE userId = ?').get(userId);
+        } else if (STORE_MODE === 'memory') {
+            return memoryStore.users.has(userId);
+        } else {
+            return fsExtra.pathExists(path.join(DATA_DIR, userId));
+        }
+    },
+
+    // Engine-managed tenant settings (quota overrides, ...), kept apart from containers
+    async getTenantMeta(userId) {
+        if (STORE_MODE === 'mongodb') {
+            const user = await db.collection('users').findOne({ userId }, { projection: { meta: 1 } });
+            return (user && user.meta) || {};
+        } else if (STORE_MODE === 'sqlite') {
+            const row = sqlite.prepare('SELECT meta FROM users WHERE userId = ?').get(userId);
+            return row && row.meta ? JSON.parse(row.meta) : {};
+        } else if (STORE_MODE === 'memory') {
+            const user = memoryStore.users.get(userId);
+            return user ? structuredClone(user.meta) : {};
+        } else {
+            try {
+                return JSON.parse(await fs.readFile(path.join(DATA_DIR, userId, 'meta.json'), 'utf8'));
+            } catch { return {}; }
+        }
+    },
+
+    // Merges `patch` into the tenant settings; null values remove a key
+    async updateTenantMeta(userId, patch) {
+        return Locks.run(`${userId}/meta.json`, () => this.writeTenantMeta(userId, patch));
+    },
+
+    async writeTenantMeta(userId, patch) {
+        const meta = { ...await this.getTenantMeta(userId), ...patch };
+        Object.keys(meta).forEach(k => { if (meta[k] === null) delete meta[k]; });
+
+        if (STORE_MODE === 'mongodb') {
+            await db.collection('users').updateOne({ userId }, { $set: { meta } }, { upsert: true });
+        } else if (STORE_MODE === 'sqlite') {
+            sqlite.prepare(`
+                INSERT INTO users (userId, meta, createdAt) VALUES (?, ?, ?)
+                ON CONFLICT (userId) DO UPDATE SET meta = excluded.meta
+            `).run(userId, JSON.stringify(meta), new Date().toISOString());
+        } else if (STORE_MODE === 'memory') {
+            memoryUser(userId).meta = structuredClone(meta);
+        } else {
+            const userDir = path.join(DATA_DIR, userId);
+            await fsExtra.ensureDir(userDir);
+            await writeFileAtomic(path.join(userDir, 'meta.json'), JSON.stringify(meta, null, 2));
+        }
+        return meta;
+    }
+};
+
+// ----------------------------------------------------
+// Storage Quotas
+// ----------------------------------------------------
+
+// Errors thrown from storage and helpers; the error handler renders them as { error, ...details }
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const tableNotFound = (table) => new HttpError(404, `Table '${table}' not found`);
+
+class QuotaExceededError extends HttpError {
+    constructor(details) {
+        super(507, 'Storage quota exceeded', details);
+    }
+}
+
+// Usage is measured as compact JSON so every backend reports the same numbers
+const byteSize = (value) => Buffer.byteLength(JSON.stringify(value) || '');
+
+// Tenants whose usage is cached; the least recently used are measured again when next needed
+const QUOTA_CACHE_LIMIT = 1000;
+
+const Quota = {
+    sizes: new Map(), // userId -> Map(containerName -> bytes)
+    limits: new Map(), // userId -> effective quota in bytes
+
+    // LRU bookkeeping shared by `sizes` and `limits`
+    remember(cache, userId, value) {
+        cache.delete(userId);
+        cache.set(userId, value);
+        if (cache.size > QUOTA_CACHE_LIMIT) cache.delete(cache.keys().next().value);
+        return value;
+    },
+
+    async containerSizes(userId) {
+        if (this.sizes.has(userId)) return this.remember(this.sizes, userId, this.sizes.get(userId));
+
+        const sizes = new Map();
+        for (const name of await Storage.listContainers(userId)) {
+            sizes.set(name, byteSize(await Storage.readContainer(userId, name)));
+        }
+        return this.remember(this.sizes, userId, sizes);
+    },
+
+    async limitFor(userId) {
+        if (this.limits.has(userId)) return this.remember(this.limits, userId, this.limits.get(userId));
+
+        const meta = await Storage.getTenantMeta(userId);
+        return this.remember(this.limits, userId, typeof meta.quotaBytes === 'number' ? meta.quotaBytes : DEFAULT_QUOTA_BYTES);
+    },
+
+    /**
+     * Throws QuotaExceededError when writing `data` into container `name` would push the
+     * tenant over its quota. Writes that do not grow the container are always allowed so
+     * tenants above a lowered quota can still delete data. Returns the new container size.
+     */
+    async assertCanWrite(userId, name, data) {
+        return this.assertCanResize(userId, name, byteSize(data));
+    },
+
+    // Same check for row-level writes that only know how much a container grows
+    async assertCanGrow(userId, name, deltaBytes) {
+        const sizes = await this.containerSizes(userId);
+        return this.assertCanResize(userId, name, Math.max((sizes.get(name) || 0) + deltaBytes, 0));
+    },
+
+    async assertCanResize(userId, name, bytes) {
+        const quota = await this.limitFor(userId);
+        if (!quota) return bytes;
+
+        const sizes = await this.containerSizes(userId);
+        const previous = sizes.get(name) || 0;
+        if (bytes <= previous) return bytes;
+
+        const used = await this.usedBytes(userId);
+        const projected = used - previous + bytes;
+        if (projected > quota) {
+            throw new QuotaExceededError({ quotaBytes: quota, usedBytes: used, requiredBytes: projected - used, container: name });
+        }
+        return bytes;
+    },
+
+    // Saved snapshots are full copies of the tenant, so they are charged like containers
+    async assertCanSnapshot(userId, name, bytes) {
+        const quota = await this.limitFor(userId);
+        if (!quota) return;
+
+        const previous = snapshots.get(userId)?.get(name)?.bytes || 0;
+        const used = await this.usedBytes(userId);
+        const projected = used - previous + bytes;
+        if (projected > quota) {
+            throw new QuotaExceededError({ quotaBytes: quota, usedBytes: used, requiredBytes: projected - used, snapshot: name });
+        }
+    },
+
+    // A restore replaces every container at once, so it is judged by the tenant's final size
+    // (like assertCanResize, a restore that does not grow the tenant is always allowed)
+    async assertCanRestore(userId, containers) {
+        const quota = await this.limitFor(userId);
+        if (!quota) return;
+
+        const used = await this.usedBytes(userId);
+        let projected = this.snapshotBytes(userId);
+        Object.values(containers).forEach(data => { projected += byteSize(data); });
+        if (projected > quota && projected > used) {
+            throw new QuotaExceededError({ quotaBytes: quota, usedBytes: used, requiredBytes: projected - used });
+        }
+    },
+
+    snapshotBytes(userId) {
+        let bytes = 0;
+        (snapshots.get(userId) || new Map()).forEach(snapshot => { bytes += snapshot.bytes; });
+        return bytes;
+    },
+
+    async usedBytes(userId) {
+        let used = this.snapshotBytes(userId);
+        (await this.containerSizes(userId)).forEach(size => { used += size; });
+        return used;
+    },
+
+    record(userId, name, bytes) {
+        const sizes = this.sizes.get(userId);
+        if (!sizes) return;
+        if (bytes) sizes.set(name, bytes); else sizes.delete(name);
+    },
+
+    forget(userId) {
+        this.sizes.delete(userId);
+        this.limits.delete(userId);
+    },
+
+    // Fresh per-container and per-table breakdown (also re-primes the cache)
+    async report(userId) {
+        const containers = {};
+        const sizes = new Map();
+        let usedBytes = 0;
+
+        for (const name of await Storage.listContainers(userId)) {
+            const data = await Storage.readContainer(userId, name);
+            const bytes = byteSize(data);
+            const tables = {};
+            listTableEntries(data).forEach(([table, tableData]) => { tables[table] = byteSize(tableData); });
+            containers[name] = { bytes, tables };
+            sizes.set(name, bytes);
+            usedBytes += bytes;
+        }
+        this.remember(this.sizes, userId, sizes);
+
+        const snapshotBytes = this.snapshotBytes(userId);
+        usedBytes += snapshotBytes;
+
+        const quotaBytes = await this.limitFor(userId);
+        return {
+            userId,
+            quotaBytes: quotaBytes || null,
+            usedBytes,
+            snapshotBytes,
+            remainingBytes: quotaBytes ? Math.max(quotaBytes - usedBytes, 0) : null,
+            containers
+        };
+    }
+};
+
+// ----------------------------------------------------
+// Tenant Activity & Janitor
+// ----------------------------------------------------
+
+// How often a tenant's lastActiveAt is persisted; requests in between only touch memory
+const ACTIVITY_FLUSH_MS = 5 * 60 * 1000;
+
+const Activity = {
+    lastSeen: new Map(), // userId -> ms timestamp of the latest request
+    lastFlushed: new Map(), // userId -> ms timestamp last written to storage
+
+    async touch(userId) {
+        // Unknown ids are never tracked, so they neither materialize a tenant nor grow these maps
+        if (!this.lastSeen.has(userId) && !await Storage.userExists(userId)) return;
+
+        const now = Date.now();
+        this.lastSeen.set(userId, now);
+        if (now - (this.lastFlushed.get(userId) || 0) < ACTIVITY_FLUSH_MS) return;
+
+        this.lastFlushed.set(userId, now);
+        await Storage.updateTenantMeta(userId, { lastActiveAt: new Date(now).toISOString() });
+    },
+
+    /**
+     * Tenants from before activity tracking have no lastActiveAt; file times are not a safe
+     * stand-in, so the first check stamps the current time and the TTL starts from there.
+     */
+    async lastActiveAt(user) {
+        const inMemory = this.lastSeen.get(user.userId);
+        if (inMemory) return new Date(inMemory);
+        const meta = await Storage.getTenantMeta(user.userId);
+        if (meta.lastActiveAt) return new Date(meta.lastActiveAt);
+
+        const now = new Date();
+        await Storage.updateTenantMeta(user.userId, { lastActiveAt: now.toISOString() });
+        return now;
+    },
+
+    forget(userId) {
+        this.lastSeen.delete(userId);
+        this.lastFlushed.delete(userId);
+    }
+};
+
+const Janitor = {
+    timer: null,
+
+    // Tenants idle for longer than the TTL, oldest first
+    async findExpired(now = Date.now()) {
+        if (!TENANT_TTL_MS) return [];
+
+        const expired = [];
+        for (const user of await Storage.listUsers()) {
+            if (PROTECTED_TENANTS.includes(user.userId)) continue;
+            const lastActiveAt = await Activity.lastActiveAt(user);
+            const idleMs = now - lastActiveAt.getTime();
+            if (idleMs > TENANT_TTL_MS) {
+                expired.push({ userId: user.userId, lastActiveAt: lastActiveAt.toISOString(), idleDays: +(idleMs / 86400000).toFixed(1) });
+            }
+        }
+        return expired.sort((a, b) => new Date(a.lastActiveAt) - new Date(b.lastActiveAt));
+    },
+
+    async sweep() {
+        const expired = await this.findExpired();
+        for (const tenant of expired) {
+            await this.deleteTenant(tenant.userId);
+        }
+        if (expired.length > 0) console.log(`🧹 Janitor removed ${expired.length} inactive tenant(s)`);
+        return expired;
+    },
+
+    // Holds every container lock so an in-flight write cannot recreate data mid-delete
+    async deleteTenant(userId) {
+        const releases = [];
+        for (const name of (await Storage.listContainers(userId)).sort()) {
+            releases.push(await Locks.acquire(`${userId}/${name}`));
+        }
+        try {
+            await Storage.deleteUser(userId);
+        } finally {
+            releases.forEach(release => release());
+        }
+    },
+
+    start() {
+        if (!TENANT_TTL_MS) return;
+        const run = () => this.sweep().catch(err => console.error('❌ Janitor sweep failed:', err.message));
+        this.timer = setInterval(run, JANITOR_INTERVAL_MS);
+        this.timer.unref();
+        run();
+    }
+};
+
+// ----------------------------------------------------
+// In-Memory Table Indexes (search & secondary indexes)
+// ----------------------------------------------------
+
+// Table indexes kept in memory per kind; the least recently used are dropped beyond this
+const TABLE_INDEX_LIMIT = 100;
+
+/**
+ * Write counter per container. Callers read it before loading records; an index built from
+ * records that a concurrent write has since changed is then used once but never cached.
+ */
+const IndexVersions = {
+    versions: new Map(),
+
+    get(userId, container) {
+        return this.versions.get(`${userId}/${container}`) || 0;
+    },
+
+    touch(userId, container) {
+        const key = `${userId}/${container}`;
+        this.versions.set(key, (this.versions.get(key) || 0) + 1);
+    },
+
+    forget(userId) {
+        for (const key of [...this.versions.keys()]) {
+            if (key.startsWith(`${userId}/`)) this.versions.delete(key);
+        }
+    }
+};
+
+// Shared LRU handling for SearchIndex and FieldIndex (`cache` is their `tables` map)
+const cacheTableIndex = (cache, key, index) => {
+    cache.delete(key);
+    cache.set(key, index);
+    if (cache.size > TABLE_INDEX_LIMIT) cache.delete(cache.keys().next().value);
+    return index;
+};
+
+const dropTableIndexes = (cache, userId, container = null) => {
+    const prefix = container === null ? `${userId}/` : `${userId}/${container}/`;
+    for (const key of [...cache.keys()]) {
+        if (key.startsWith(prefix)) cache.delete(key);
+    }
+};
+
+// Case folding + accent stripping: "Crème Brûlée" -> ["creme", "brulee"]
+const normalizeText = (text) => String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+const tokenize = (text) => normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Fields flagged `searchable: true` in `_schema`, else every String-typed field,
+// else (untyped tables) every top-level string value
+const searchableFields = (schema) => {
+    const entries = Object.entries(schema || {});
+    const flagged = entries.filter(([, definition]) => definition && definition.searchable === true).map(([field]) => field);
+    if (flagged.length > 0) return flagged;
+    const strings = entries.filter(([field]) => schemaTypeOf(schema, field) === 'String').map(([field]) => field);
+    return strings.length > 0 ? strings : null;
+};
+
+const recordTokens = (record, fields) => {
+    const values = fields
+        ? fields.map(field => getPath(record, field))
+        : Object.values(record).filter(value => typeof value === 'string');
+    return values.flatMap(value => (typeof value === 'string' ? tokenize(value) : []));
+};
+
+/**
+ * Per-table inverted index (token -> record id -> term frequency), built on the first search.
+ * Record-level writes update it in place; any other write to a container drops its indexes,
+ * which are then rebuilt lazily.
+ */
+const SearchIndex = {
+    tables: new Map(),
+
+    build(records, fields) {
+        const index = { fields, postings: new Map(), lengths: new Map(), totalLength: 0 };
+        records.forEach(record => this.add(index, record));
+        return index;
+    },
+
+    add(index, record) {
+        if (record.id === undefined || record.id === null) return;
+        const id = record.id;
+        const tokens = recordTokens(record, index.fields);
+        for (const token of tokens) {
+            if (!index.postings.has(token)) index.postings.set(token, new Map());
+            const posting = index.postings.get(token);
+            posting.set(id, (posting.get(id) || 0) + 1);
+        }
+        index.lengths.set(id, tokens.length);
+        index.totalLength += tokens.length;
+    },
+
+    remove(index, record) {
+        if (record.id === undefined || record.id === null) return;
+        const id = record.id;
+        if (!index.lengths.has(id)) return;
+        for (const token of new Set(recordTokens(record, index.fields))) {
+            const posting = index.postings.get(token);
+            if (!posting) continue;
+            posting.delete(id);
+            if (posting.size === 0) index.postings.delete(token);
+        }
+        index.totalLength -= index.lengths.get(id);
+        index.lengths.delete(id);
+    },
+
+    // `version` is IndexVersions.get() from before the records were read;
+    // `loadRecords` is only called when the table has no index yet
+    async get(userId, container, table, schema, version, loadRecords) {
+        const key = `${userId}/${container}/${table}`;
+        const cached = this.tables.get(key);
+        if (cached) return cacheTableIndex(this.tables, key, cached);
+
+        const index = this.build(await loadRecords(), searchableFields(schema));
+        if (version !== IndexVersions.get(userId, container)) return index;
+        return cacheTableIndex(this.tables, key, index);
+    },
+
+    // Keeps an existing index in sync with a single record write (previous/next may be null)
+    apply(userId, container, table, { previous, next }) {
+        const index = this.tables.get(`${userId}/${container}/${table}`);
+        if (!index) return;
+        if (previous) this.remove(index, previous);
+        if (next) this.add(index, next);
+    },
+
+    /**
+     * BM25 ranking; every query term must match a token exactly or as a prefix
+     * (prefix hits count half), so "choc cake" finds "Chocolate Cake".
+     * Returns Map(record id -> score).
+     */
+    search(index, text) {
+        const terms = [...new Set(tokenize(text))];
+        const documentCount = index.lengths.size;
+        if (terms.length === 0 || documentCount === 0) return new Map();
+
+        const averageLength = index.totalLength / documentCount || 1;
+        let scores = null;
+        for (const term of terms) {
+            const termScores = new Map();
+            for (const [token, posting] of index.postings) {
+                if (!token.startsWith(term)) continue;
+                const weight = token === term ? 1 : 0.5;
+                const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+                for (const [id, tf] of posting) {
+                    const norm = tf * 2.2 / (tf + 1.2 * (0.25 + 0.75 * index.lengths.get(id) / averageLength));
+                    termScores.set(id, (termScores.get(id) || 0) + weight * idf * norm);
+                }
+            }
+            scores = scores === null
+                ? termScores
+                : new Map([...scores].filter(([id]) => termScores.has(id)).map(([id, score]) => [id, score + termScores.get(id)]));
+            if (scores.size === 0) break;
+        }
+        return scores;
+    }
+};
+
+// Highest score first; Array.prototype.sort is stable, so equal scores keep insertion order
+const rankByScore = (records, scores) => [...records].sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0));
+
+// Index entries are typed, so 5 and "5" are different values for unique indexes
+const indexKey = (value) => `${typeof value}:${String(value)}`;
+const indexKeysOf = (value) => (Array.isArray(value) ? [...new Set(value.map(indexKey))] : [indexKey(value)]);
+
+// Every stored value a query-string value can equal under matchesCondition's `eq` semantics
+const lookupKeys = (raw) => {
+    const keys = [`string:${raw}`, `boolean:${raw === 'true'}`];
+    if (raw.trim() !== '' && !Number.isNaN(Number(raw))) keys.push(`number:${Number(raw)}`);
+    if (raw === 'null') keys.push('object:null');
+    return keys;
+};
+
+// The implicit id index, the declared `_indexes` and `unique: true` schema columns
+const indexDefinitions = (props) => {
+    const declared = (props && props._indexes) || [];
+    const uniqueColumns = Object.keys((props && props._schema) || {}).filter(field => columnOf(props._schema[field]).unique);
+    return [
+        { field: 'id', unique: true, implicit: true },
+        ...declared.map(index => (uniqueColumns.includes(index.field) ? { ...index, unique: true } : index)),
+        ...uniqueColumns.filter(field => !declared.some(index => index.field === field)).map(field => ({ field, unique: true, column: true }))
+    ];
+};
+
+// Values of `field` that occur in more than one record (null/missing values never clash)
+const duplicateValues = (records, field) => {
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const record of records) {
+        const value = getPath(record, field);
+        if (value === undefined || value === null) continue;
+        for (const key of indexKeysOf(value)) {
+            if (seen.has(key)) duplicates.add(value);
+            seen.add(key);
+        }
+    }
+    return [...duplicates];
+};
+
+// 409 when existing records already break a `unique: true` column of `schema`
+const assertUniqueColumns = (records, schema) => {
+    for (const field of Object.keys(schema || {}).filter(f => columnOf(schema[f]).unique)) {
+        const duplicates = duplicateValues(records, field);
+        if (duplicates.length > 0) {
+            throw new HttpError(409, `Cannot make '${field}' unique: existing records contain duplicates`, { field, duplicates });
+        }
+    }
+};
+
+/**
+ * Secondary indexes for the file-backed modes: field -> value key -> record positions.
+ * Definitions live in the table's `_indexes`; the entries are built from the records on first
+ * use and kept in sync by record-level writes. MongoDB queries its own indexes instead.
+ */
+const FieldIndex = {
+    tables: new Map(),
+
+    build(records, definitions) {
+        const index = { size: records.length, definitions, fields: new Map(definitions.map(d => [d.field, new Map()])) };
+        records.forEach((record, position) => this.add(index, record, position));
+        return index;
+    },
+
+    add(index, record, position) {
+        for (const [field, entries] of index.fields) {
+            for (const key of indexKeysOf(getPath(record, field))) {
+                if (!entries.has(key)) entries.set(key, new Set());
+                entries.get(key).add(position);
+            }
+        }
+    },
+
+    remove(index, record, position) {
+        for (const [field, entries] of index.fields) {
+            for (const key of indexKeysOf(getPath(record, field))) {
+                const positions = entries.get(key);
+                if (!positions) continue;
+                positions.delete(position);
+                if (positions.size === 0) entries.delete(key);
+            }
+        }
+    },
+
+    // `tableData` is the stored table (array or structured); `version` as for SearchIndex.get
+    get(userId, container, table, tableData, version) {
+        const key = `${userId}/${container}/${table}`;
+        const records = getTableRecords(tableData);
+        const cached = this.tables.get(key);
+        if (cached && cached.size === records.length) return cacheTableIndex(this.tables, key, cached);
+
+        const props = Array.isArray(tableData) ? {} : tableData;
+        const index = this.build(records, indexDefinitions(props));
+        if (version !== IndexVersions.get(userId, container)) return index;
+        return cacheTableIndex(this.tables, key, index);
+    },
+
+    // Position of the record with this id, verified against the records actually read
+    positionOf(index, records, id) {
+        const candidates = idCandidates(id);
+        for (const candidate of candidates) {
+            const positions = index.fields.get('id').get(indexKey(candidate));
+            const position = positions ? positions.values().next().value : undefined;
+            if (position !== undefined && records[position] && records[position].id === candidate) return position;
+        }
+        return records.findIndex(r => candidates.includes(r.id));
+    },
+
+    /**
+     * Narrows `records` to candidates for the `eq`/`in` conditions on indexed fields, in insertion
+     * order, or returns null when no condition can use an index. Callers still apply every filter.
+     */
+    candidates(index, records, filters, schema) {
+        let positions = null;
+        for (const { field, op, values } of filters) {
+            const entries = index.fields.get(field);
+            if (!entries || !['eq', 'in'].includes(op) || schemaTypeOf(schema, field) === 'Date') continue;
+            const matching = new Set(values.flatMap(raw => lookupKeys(raw)).flatMap(key => [...(entries.get(key) || [])]));
+            positions = positions === null ? matching : new Set([...positions].filter(p => matching.has(p)));
+        }
+        if (positions === null) return null;
+        return [...positions].sort((a, b) => a - b).map(p => records[p]).filter(Boolean);
+    },
+
+    // Throws 409 when `record` would duplicate a value of a unique index (null/missing values never clash)
+    assertUnique(index, record, ownPosition = null) {
+        for (const { field, unique } of index.definitions) {
+            if (!unique) continue;
+            const value = getPath(record, field);
+            if (value === undefined || value === null) continue;
+            for (const key of indexKeysOf(value)) {
+                const positions = index.fields.get(field).get(key);
+                if (positions && [...positions].some(p => p !== ownPosition)) {
+                    throw new HttpError(409, `Duplicate value for unique index '${field}'`, { field, value });
+                }
+            }
+        }
+    },
+
+    // Record-level writes; deletes shift positions, so they drop the table's index instead
+    apply(userId, container, table, { previous, next, position }) {
+        const key = `${userId}/${container}/${table}`;
+        const index = this.tables.get(key);
+        if (!index) return;
+        if (previous && next) {
+            this.remove(index, previous, position);
+            this.add(index, next, position);
+        } else if (next) {
+            this.add(index, next, position);
+            index.size += 1;
+        } else {
+            this.tables.delete(key);
+        }
+    }
+};
+
+// Single entry point the storage engine uses to keep every in-memory table index current
+const TableIndexes = {
+    // A record was inserted (next), updated (previous + next) or deleted (previous) at `position`
+    recordWritten(userId, container, table, change) {
+        IndexVersions.touch(userId, container);
+        SearchIndex.apply(userId, container, table, change);
+        FieldIndex.apply(userId, container, table, change);
+    },
+
+    // Any other write: indexes of the container (or of the whole tenant) are rebuilt on next use
+    invalidate(userId, container = null) {
+        if (container === null) {
+            IndexVersions.forget(userId);
+        } else {
+            IndexVersions.touch(userId, container);
+        }
+        dropTableIndexes(SearchIndex.tables, userId, container);
+        dropTableIndexes(FieldIndex.tables, userId, container);
+    }
+};
+
+// ----------------------------------------------------
+// Change Feed (SSE & WebSocket subscribers)
+// ----------------------------------------------------
+
+// SSE streams live at /:container/_changes and /:container/:table/_changes, the WebSocket at /_changes
+const CHANGE_FEED_HEARTBEAT_MS = 25000;
+
+/**
+ * In-process registry of change feed subscribers. A subscriber follows one container, or one
+ * table of it, and only receives events of tables its role may read. Record events come from the
+ * storage engine (recordWritten); table and container events are published by the routes.
+ */
+const ChangeFeed = {
+    subscribers: new Map(), // userId -> Set of { container, table, role, permissions, send, close }
+
+    subscribe(userId, subscriber) {
+        if (!this.subscribers.has(userId)) this.subscribers.set(userId, new Set());
+        this.subscribers.get(userId).add(subscriber);
+        return () => {
+            const subscribers = this.subscribers.get(userId);
+            if (!subscribers) return;
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0) this.subscribers.delete(userId);
+        };
+    },
+
+    // Events without a table (container drop, permissions, reset) reach every subscriber of the container
+    publish(userId, event) {
+        const subscribers = this.subscribers.get(userId);
+        if (!subscribers) return;
+
+        const message = { ...event, at: new Date().toISOString() };
+        for (const subscriber of subscribers) {
+            if (subscriber.container !== event.container) continue;
+            if (event.table && subscriber.table && subscriber.table !== event.table && subscriber.table !== event.to) continue;
+            if (event.table && !canAccessTable(subscriber.role, subscriber.permissions, event.table, 'read')) continue;
+            subscriber.send(message);
+        }
+    },
+
+    // Called by Storage after a record write; a soft delete (deletedAt being set) is reported as a delete
+    recordWritten(userId, container, table, { previous, next }, props = {}) {
+        if (!this.subscribers.has(userId)) return;
+        const record = next || previous;
+        const softDelete = tableOptionsOf(props).softDelete && previous && next && !isDeleted(previous) && isDeleted(next);
+        let type = 'update';
+        if (!previous) type = 'insert';
+        if (!next || softDelete) type = 'delete';
+        this.publish(userId, { type, container, table, id: record.id, record, ...(softDelete ? { soft: true } : {}) });
+    },
+
+    // Subscribers cache the container permission map; routes that change it refresh them
+    setPermissions(userId, container, permissions) {
+        for (const subscriber of this.subscribers.get(userId) || []) {
+            if (subscriber.container === container) subscriber.permissions = permissions;
+        }
+    },
+
+    permissionsChanged(userId, container, permissions) {
+        this.setPermissions(userId, container, permissions);
+        this.publish(userId, { type: 'permissions', container });
+    },
+
+    // The tenant is gone (account deleted or UUID rotated): end its streams
+    close(userId) {
+        for (const subscriber of this.subscribers.get(userId) || []) subscriber.close();
+        this.subscribers.delete(userId);
+    }
+};
+
+// ----------------------------------------------------
+// Express Middleware
+// ----------------------------------------------------
+app.use(cors({ exposedHeaders: ['Link', 'X-Total-Count'] }));
+app.use(express.json({ limit: '5mb' }));
+app.use(cookieParser());
+app.use(express.static(path.join(__dirname, 'public')));
+// Consolidating all dashboard assets to /public
+
+// JWT Authentication Middleware
+const renderError = (res, status, message) => {
+    if (res.req.headers['accept']?.includes('text/html')) {
+        return res.status(status).send(`
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <title>Unauthorized - JDM Mocker</title>
+                <style>
+                    body { background: #0f172a; color: #f8fafc; font-family: 'Inter', system-ui, sans-serif; display: flex; align-items: center; justify-content: center; height: 100vh; margin: 0; }
+                    .card { background: #1e293b; padding: 2.5rem; border-radius: 16px; box-shadow: 0 25px 50px -12px rgba(0,0,0,0.5); text-align: center; max-width: 450px; border: 1px solid #334155; }
+                    h1 { color: #f87171; font-size: 1.75rem; margin-bottom: 1rem; font-weight: 800; }
+                    p { color: #94a3b8; line-height: 1.6; font-size: 0.95rem; }
+                    .code { background: #0f172a; padding: 1.25rem; border-radius: 10px; font-family: 'Fira Code', monospace; color: #38bdf8; margin: 1.5rem 0; word-break: break-all; border: 1px solid #1e293b; font-size: 0.85rem; }
+                    .btn { display: inline-block; background: #3b82f6; color: white; padding: 0.75rem 1.5rem; border-radius: 8px; text-decoration: none; font-weight: 600; margin-top: 1rem; transition: background 0.2s; }
+                    .btn:hover { background: #2563eb; }
+                </style>
+            </head>
+            <body>
+                <div class="card">
+                    <h1>${status === 401 ? '🔒 Access Denied' : '⚠️ Error'}</h1>
+                    <p>It seems you are trying to access a protected JDM resource without a valid session.</p>
+                    <div class="code">{"error": "${message}"}</div>
+                    <a href="/index.html" class="btn">Go to Dashboard</a>
+                </div>
+            </body>
+            </html>
+        `);
+    }
+    return res.status(status).json({ error: message });
+};
+
+// 1. Identification: the token comes from Authorization, the CSRF headers or the auth cookie
+const requestCredentials = (headers, cookies = {}, queryToken = undefined) => ({
+    userId: headers['x-user-id'],
+    apiKey: headers['x-api-key'],
+    token: headers['authorization']?.split(' ')[1] ||
+        headers['csrf-token'] ||
+        headers['x-csrf-token'] ||
+        cookies.auth_token ||
+        queryToken
+});
+
+// 2. Authentication logic: { userId, role }, or { error, reason } when the request is rejected
+const resolveIdentity = ({ userId, apiKey, token }) => {
+    if (apiKey && apiKey === userId) {
+        // Direct API Key access
+        return { userId, role: 'admin' };
+    }
+
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            // Derive identity from token if header is missing
+            if (!userId) userId = decoded.userId;
+
+            if (decoded.userId !== userId) {
+                throw new Error('Token mismatch');
+            }
+            return { userId, role: decoded.role, developer: decoded.developer === true };
+        } catch (err) {
+            // If token is invalid/expired, we might fall back or error
+            if (userId) return { error: 'Invalid or expired session' };
+        }
+    }
+
+    // 3. Final validation
+    if (!userId) return { error: 'Unauthorized: Missing User ID or valid Session', reason: 'Missing Identity' };
+    return { error: 'Unauthorized: Access Denied', reason: `Forbidden for User ${userId}` };
+};
+
+const authenticate = async (req, res, next) => {
+    const normalizedPath = (req.path.replace(/\/$/, '') || '/').toLowerCase();
+    const authPaths = [
+        '/auth/register',
+        '/auth/login',
+        '/dev-admin',
+        '/auth/dev-login',
+        '/favicon.ico',
+        '/admin.html',
+        '/admin-app.js',
+        '/admin-style.css',
+        '/crud-example',
+        '/crud-xample', // Failsafe for user typo
+        '/index.html',
+        '/app.js',
+        '/style.css'
+    ];
+
+    if (authPaths.includes(normalizedPath) || normalizedPath.startsWith('/public/')) {
+        return next();
+    }
+
+    const identity = resolveIdentity(requestCredentials(req.headers, req.cookies));
+    if (identity.error) {
+        if (identity.reason) console.warn(`[AUTH] Blocked ${req.method} ${req.path} - ${identity.reason}`);
+        return renderError(res, 401, identity.error);
+    }
+
+    req.userId = identity.userId;
+    req.userRole = identity.role;
+    req.isDeveloper = identity.developer === true;
+    next();
+};
+
+// ----------------------------------------------------
+// Authorization (RBAC)
+// ----------------------------------------------------
+
+// Container keys that hold engine metadata instead of table data
+const RESERVED_KEYS = ['_permissions'];
+const isReservedTable = (name) => RESERVED_KEYS.includes(name) || String(name).startsWith('_');
+const listTableEntries = (data) => Object.entries(data || {}).filter(([name]) => !RESERVED_KEYS.includes(name));
+
+// Role names accepted by /auth/login and the permission map
+const ROLE_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Resolves whether a role may perform an action ('read' | 'write') on a table.
+ * Admins always have full access. Roles listed in the container permission map
+ * get exactly what the map grants (write implies read). Any other role is read-only.
+ */
+const canAccessTable = (role, permissions, table, action) => {
+    if (role === 'admin') return true;
+
+    const grant = permissions && permissions[role];
+    if (!grant) return action === 'read';
+
+    const allows = (list) => list === '*' || (Array.isArray(list) && list.includes(table));
+    if (action === 'read') return allows(grant.read) || allows(grant.write);
+    return allows(grant.write);
+};
+
+// Container-wide reads (e.g. the container change feed) need read access to at least one table
+const canReadContainer = (role, permissions) => {
+    if (role === 'admin') return true;
+
+    const grant = permissions && permissions[role];
+    if (!grant) return true;
+
+    const grantsAny = (list) => list === '*' || (Array.isArray(list) && list.length > 0);
+    return grantsAny(grant.read) || grantsAny(grant.write);
+};
+
+const requireAdmin = (req, res, next) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: `Forbidden: role '${req.userRole}' is read-only` });
+    }
+    next();
+};
+
+// Server-wide operations: only the developer session from /auth/dev-login qualifies
+const requireDeveloper = (req, res, next) => {
+    if (!req.isDeveloper) {
+        return res.status(403).json({ error: 'Forbidden: developer login required' });
+    }
+    next();
+};
+
+// Throws 403 unless the request's role may perform `action` on the table
+const assertTableAccess = async (req, container, table, action) => {
+    if (req.userRole === 'admin') return;
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (!canAccessTable(req.userRole, data && data._permissions, table, action)) {
+        console.warn(`[RBAC] Blocked ${req.method} ${req.path} - role '${req.userRole}' cannot ${action} '${table}'`);
+        throw new HttpError(403, `Forbidden: role '${req.userRole}' cannot ${action} table '${table}'`);
+    }
+};
+
+// Guards /:container/:table routes against the container permission map
+const requireTableAccess = (action) => async (req, res, next) => {
+    await assertTableAccess(req, req.params.container, req.params.table, action);
+    next();
+};
+
+/**
+ * Serializes mutations per container: routes read the whole container, modify it and write
+ * it back, so two concurrent writers would otherwise overwrite each other's changes.
+ * The lock is held until the response has been sent.
+ */
+const lockContainer = async (req, res, next) => {
+    const container = req.params.container || req.params.name;
+    const release = await Locks.acquire(`${req.userId}/${container}`);
+    res.on('finish', release);
+    res.on('close', release);
+    next();
+};
+
+const validatePermissionMap = (permissions) => {
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+        return 'permissions must be an object keyed by role';
+    }
+    for (const [role, grant] of Object.entries(permissions)) {
+        if (!ROLE_PATTERN.test(role)) return `Invalid role name '${role}'`;
+        if (role === 'admin') return `Role 'admin' always has full access and cannot be restricted`;
+        if (!grant || typeof grant !== 'object' || Array.isArray(grant)) return `Grant for role '${role}' must be an object`;
+        for (const action of ['read', 'write']) {
+            const list = grant[action];
+            if (list === undefined || list === '*') continue;
+            if (!Array.isArray(list) || !list.every(t => typeof t === 'string')) {
+                return `'${role}.${action}' must be '*' or an array of table names`;
+            }
+        }
+    }
+    return null;
+};
+
+// ----------------------------------------------------
+// Auth Routes
+// ----------------------------------------------------
+
+app.post('/auth/register', async (req, res) => {
+    const userId = uuidv4();
+    if (STORE_MODE === 'mongodb') {
+        // Initialize user in MongoDB
+        await db.collection('users').insertOne({ userId, sessions: [], createdAt: new Date() });
+    } else if (STORE_MODE === 'sqlite') {
+        sqlite.prepare('INSERT INTO users (userId, createdAt) VALUES (?, ?)').run(userId, new Date().toISOString());
+    } else if (STORE_MODE === 'memory') {
+        memoryUser(userId);
+    } else {
         const userDir = path.join(DATA_DIR, userId);
         await fsExtra.ensureDir(userDir);
         await fs.writeFile(path.join(userDir, 'sessions.json'), '[]');
     }
-    res.status(201).json({ message: 'Registration successful', 'x-user-id': userId });
+    res.status(201).json({ message: 'Registration successful', 'x-user-id': userId });
+});
+
+app.post('/auth/login', async (req, res) => {
+    const userId = req.headers['x-user-id'];
+    if (!userId) return res.status(400).json({ error: 'x-user-id header required' });
+
+    // Custom roles are resolved against each container's permission map
+    const requestedRole = (req.body.role || '').toLowerCase();
+    const role = ROLE_PATTERN.test(requestedRole) ? requestedRole : 'viewer';
+
+    // Default expiration from env or 1 hour
+    const defaultExpire = parseInt(process.env.SESSION_EXPIRE, 10) || (3600 * 1000);
+    const expiresIn = req.body.expiresIn || defaultExpire;
+
+    // Create a secure JWT instead of random hex 
+    const token = jwt.sign({ userId, role }, JWT_SECRET, { expiresIn: `${expiresIn}ms` });
+    const expiresAt = new Date(Date.now() + expiresIn).toISOString();
+
+    const sessionData = { token, expires_at: expiresAt, role };
+    await Storage.saveUserSession(userId, sessionData);
+    await Activity.touch(userId).catch(() => { });
+
+    res.json({ message: 'Login successful', token, expires_at: expiresAt, role });
+});
+
+app.post('/auth/dev-login', async (req, res) => {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+
+    let user = null;
+    const hashedPassword = crypto.createHash('sha256').update(password).digest('hex');
+
+    if (STORE_MODE === 'mongodb') {
+        user = await db.collection('users').findOne({ email, password: hashedPassword });
+    } else if (STORE_MODE === 'sqlite') {
+        user = sqlite.prepare('SELECT * FROM users WHERE email = ? AND password = ?').get(email, hashedPassword) || null;
+    } else if (STORE_MODE === 'memory') {
+        user = [...memoryStore.users.values()].find(u => u.email === email && u.password === hashedPassword) || null;
+    } else {
+        // Simple scan for local (slow but dev only)
+        const dirs = await fs.readdir(DATA_DIR);
+        for (const d of dirs) {
+            try {
+                const profile = JSON.parse(await fs.readFile(path.join(DATA_DIR, d, 'profile.json'), 'utf8'));
+                if (profile.email === email && profile.password === hashedPassword) {
+                    user = profile;
+                    break;
+                }
+            } catch { }
+        }
+    }
+
+    const adminEmail = process.env.ADMIN_EMAIL;
+    if (!user || user.email !== adminEmail) {
+        return res.status(401).json({ error: 'Invalid developer credentials' });
+    }
+
+    // `developer` is only ever signed here; /auth/login lets clients pick their role, so server-wide
+    // operations (quota overrides) check this claim instead of the 'admin' role
+    const token = jwt.sign({ userId: user.userId, role: 'admin', email: user.email, developer: true }, JWT_SECRET, { expiresIn: '8h' });
+    res.json({ message: 'Developer login successful', token, userId: user.userId });
+});
+
+// Route to serve Admin Dashboard
+app.get('/dev-admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Interactive API docs: Swagger UI, served from node_modules, rendering the tenant's /openapi.json
+app.use('/docs/assets', express.static(swaggerUiPath()));
+app.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'docs.html'));
+});
+
+// Route to serve Client CRUD Example
+app.get('/crud-example', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.use(authenticate);
+
+// Record activity for the janitor once the tenant is known
+app.use(async (req, res, next) => {
+    if (req.userId) await Activity.touch(req.userId).catch(() => { });
+    next();
+});
+
+// ----------------------------------------------------
+// Data Routes (Simplified for brevity)
+// ----------------------------------------------------
+
+app.get('/introspect', async (req, res) => {
+    try {
+        const payload = {
+            userId: req.userId,
+            role: req.userRole,
+            sessions: await Storage.getUserSessions(req.userId),
+            storage: {}
+        };
+
+        const containerNames = await Storage.listContainers(req.userId);
+        for (const name of containerNames) {
+            const content = await Storage.readContainer(req.userId, name);
+            payload.storage[name] = {};
+            if (content) {
+                for (const [table, records] of listTableEntries(content)) {
+                    if (!canAccessTable(req.userRole, content._permissions, table, 'read')) continue;
+                    const isStructured = !Array.isArray(records);
+                    const tableRecords = isStructured ? records.records : records;
+                    payload.storage[name][table] = {
+                        count: Array.isArray(tableRecords) ? tableRecords.length : 0,
+                        schema_preview: Array.isArray(tableRecords) && tableRecords.length > 0 ? Object.keys(tableRecords[0]) : [],
+                        schema: isStructured ? records._schema : null,
+                        data: tableRecords
+                    };
+                }
+            }
+        }
+        res.json(payload);
+    } catch (err) {
+        res.status(500).json({ error: 'Introspection failed' });
+    }
+});
+
+app.patch('/auth/update-uuid', async (req, res) => {
+    const newUserId = uuidv4();
+    try {
+        await Storage.updateUserId(req.userId, newUserId);
+
+        // Issue a NEW token for the NEW identity
+        const token = jwt.sign({ userId: newUserId, role: req.userRole }, JWT_SECRET, { expiresIn: '1h' });
+
+        // Also update the session in storage if needed (but JWT is stateless anyway)
+        await Storage.saveUserSession(newUserId, { token, expires_at: new Date(Date.now() + 3600000).toISOString(), role: req.userRole });
+
+        res.json({
+            message: 'UUID updated successfully',
+            'x-user-id': newUserId,
+            token
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update UUID' });
+    }
+});
+
+app.delete('/auth/account', async (req, res) => {
+    try {
+        await Storage.deleteUser(req.userId);
+        res.status(204).send();
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+});
+
+app.get('/admin/stats', async (req, res) => {
+    // Verified via 'admin' role in derived token
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Developer access only' });
+    }
+
+    try {
+        const summary = { totalUsers: 0, totalContainers: 0, totalTables: 0, totalColumns: 0 };
+
+        if (['mongodb', 'sqlite', 'memory'].includes(STORE_MODE)) {
+            let users;
+            if (STORE_MODE === 'mongodb') users = await db.collection('users').find().toArray();
+            else if (STORE_MODE === 'sqlite') users = sqlite.prepare('SELECT userId, name, email, createdAt FROM users').all();
+            else users = [...memoryStore.users.values()];
+            summary.totalUsers = users.length;
+
+            const stats = await Promise.all(users.map(async (user) => {
+                const containers = await Promise.all((await Storage.listContainers(user.userId)).map(async name => ({
+                    data: await Storage.readContainer(user.userId, name)
+                })));
+                let userTableCount = 0;
+                let userColumnCount = 0;
+
+                containers.forEach(c => {
+                    const tables = listTableEntries(c.data).map(([tableName]) => tableName);
+                    userTableCount += tables.length;
+                    tables.forEach(tableName => {
+                        const tableData = c.data[tableName];
+                        if (tableData && typeof tableData === 'object' && !Array.isArray(tableData)) {
+                            // Structured format: count columns from schema
+                            if (tableData._schema) userColumnCount += Object.keys(tableData._schema).length;
+                        } else if (Array.isArray(tableData) && tableData.length > 0) {
+                            // Legacy format: count from first record
+                            userColumnCount += Object.keys(tableData[0]).length;
+                        }
+                    });
+                });
+
+                summary.totalContainers += containers.length;
+                summary.totalTables += userTableCount;
+                summary.totalColumns += userColumnCount;
+
+                return {
+                    userId: user.userId,
+                    name: user.name || 'Anonymous',
+                    email: user.email || 'N/A',
+                    createdAt: user.createdAt,
+                    containerCount: containers.length,
+                    tableCount: userTableCount,
+                    usedBytes: containers.reduce((sum, c) => sum + byteSize(c.data), 0),
+                    quotaBytes: await Quota.limitFor(user.userId) || null
+                };
+            }));
+
+            // Sort by createdAt DESC
+            stats.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            res.json({ summary, details: stats });
+        } else {
+            const userDirs = (await fs.readdir(DATA_DIR)).filter(d => {
+                try { return fsExtra.statSync(path.join(DATA_DIR, d)).isDirectory(); } catch { return false; }
+            });
+            summary.totalUsers = userDirs.length;
+
+            const stats = await Promise.all(userDirs.map(async (userId) => {
+                const userPath = path.join(DATA_DIR, userId);
+                const files = await fs.readdir(userPath);
+                const containers = files.filter(f => f.endsWith('.json') && !TENANT_FILES.includes(f));
+
+                let userTableCount = 0;
+                let userColumnCount = 0;
+                let usedBytes = 0;
+                let profile = {};
+                try { profile = JSON.parse(await fs.readFile(path.join(userPath, 'profile.json'), 'utf8')); } catch { }
+
+                await Promise.all(containers.map(async (cFile) => {
+                    try {
+                        const content = JSON.parse(await fs.readFile(path.join(userPath, cFile), 'utf8'));
+                        usedBytes += byteSize(content);
+                        const tables = listTableEntries(content).map(([tableName]) => tableName);
+                        userTableCount += tables.length;
+                        tables.forEach(tableName => {
+                            const tableData = content[tableName];
+                            if (tableData && typeof tableData === 'object' && !Array.isArray(tableData)) {
+                                if (tableData._schema) userColumnCount += Object.keys(tableData._schema).length;
+                            } else if (Array.isArray(tableData) && tableData.length > 0) {
+                                userColumnCount += Object.keys(tableData[0]).length;
+                            }
+                        });
+                    } catch { }
+                }));
+
+                const stat = await fs.stat(userPath);
+
+                summary.totalContainers += containers.length;
+                summary.totalTables += userTableCount;
+                summary.totalColumns += userColumnCount;
+
+                return {
+                    userId,
+                    name: profile.name || profile.userId || 'Anonymous',
+                    email: profile.email || 'N/A',
+                    createdAt: profile.createdAt || stat.birthtime,
+                    containerCount: containers.length,
+                    tableCount: userTableCount,
+                    usedBytes,
+                    quotaBytes: await Quota.limitFor(userId) || null
+                };
+            }));
+
+            // Sort by createdAt DESC
+            stats.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            res.json({ summary, details: stats });
+        }
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch admin stats' });
+    }
+});
+
+app.delete('/admin/users/:id', async (req, res) => {
+    // Verified via 'admin' role in derived token
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    await Storage.deleteUser(req.params.id);
+    res.status(204).send();
+});
+
+app.get('/admin/users/:id/usage', requireDeveloper, async (req, res) => {
+    if (!await Storage.userExists(req.params.id)) return res.status(404).json({ error: 'User not found' });
+    res.json(await Quota.report(req.params.id));
+});
+
+app.put('/admin/users/:id/quota', requireDeveloper, async (req, res) => {
+    // null resets the tenant to the server default; 0 means unlimited
+    const { quotaBytes } = req.body || {};
+    if (quotaBytes !== null && !(Number.isInteger(quotaBytes) && quotaBytes >= 0)) {
+        return res.status(400).json({ error: 'quotaBytes must be a non-negative integer or null' });
+    }
+    if (!await Storage.userExists(req.params.id)) return res.status(404).json({ error: 'User not found' });
+
+    await Storage.updateTenantMeta(req.params.id, { quotaBytes });
+    Quota.forget(req.params.id);
+    res.json(await Quota.report(req.params.id));
+});
+
+// Dry run: lists the tenants the next janitor sweep would delete
+app.get('/admin/janitor/report', async (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    try {
+        const expired = await Janitor.findExpired();
+        res.json({
+            ttlDays: TENANT_TTL_MS / 86400000,
+            enabled: TENANT_TTL_MS > 0,
+            intervalMinutes: JANITOR_INTERVAL_MS / 60000,
+            protected: PROTECTED_TENANTS,
+            count: expired.length,
+            tenants: expired
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to build janitor report' });
+    }
+});
+
+app.post('/admin/users/bulk-delete', async (req, res) => {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds)) return res.status(400).json({ error: 'userIds array required' });
+
+    try {
+        await Promise.all(userIds.map(id => Storage.deleteUser(id)));
+        res.status(200).json({ message: `Successfully removed ${userIds.length} users` });
+    } catch (err) {
+        res.status(500).json({ error: 'Bulk deletion failed' });
+    }
+});
+
+app.get('/usage', async (req, res) => {
+    try {
+        res.json(await Quota.report(req.userId));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to compute usage' });
+    }
+});
+
+app.get('/containers', async (req, res) => {
+    try {
+        const containers = await Storage.listContainers(req.userId);
+        res.json({ containers });
+    } catch (err) {
+        res.status(500).json({ error: 'Error reading containers' });
+    }
+});
+
+app.delete('/containers/:name', requireAdmin, lockContainer, async (req, res) => {
+    try {
+        await Storage.deleteContainer(req.userId, req.params.name);
+        ChangeFeed.setPermissions(req.userId, req.params.name, undefined);
+        ChangeFeed.publish(req.userId, { type: 'drop', container: req.params.name });
+        res.status(204).send();
+    } catch (err) {
+        res.status(404).json({ error: 'Container not found' });
+    }
+});
+
+// ----------------------------------------------------
+// Tenant Reset & Snapshots (test isolation)
+// ----------------------------------------------------
+
+const tenantSnapshots = (userId) => {
+    if (!snapshots.has(userId)) snapshots.set(userId, new Map());
+    return snapshots.get(userId);
+};
+
+// Routes live under reserved `_` paths so containers named `snapshots` or `reset` keep their data routes
+app.get('/_snapshots', async (req, res) => {
+    const list = [...tenantSnapshots(req.userId).entries()].map(([name, snap]) => ({
+        name,
+        createdAt: snap.createdAt,
+        bytes: snap.bytes,
+        containers: Object.keys(snap.containers)
+    }));
+    res.json({ snapshots: list });
+});
+
+app.post('/_snapshots/:name', requireAdmin, async (req, res) => {
+    const saved = tenantSnapshots(req.userId);
+    if (!saved.has(req.params.name) && saved.size >= SNAPSHOT_LIMIT) {
+        return res.status(409).json({ error: `Snapshot limit of ${SNAPSHOT_LIMIT} reached; delete one first`, limit: SNAPSHOT_LIMIT });
+    }
+
+    // Each container is copied under its lock so a concurrent write cannot be captured half-done
+    const containers = {};
+    for (const name of await Storage.listContainers(req.userId)) {
+        const data = await Locks.run(`${req.userId}/${name}`, () => Storage.readContainer(req.userId, name));
+        if (data) containers[name] = structuredClone(data);
+    }
+    const bytes = byteSize(containers);
+    await Quota.assertCanSnapshot(req.userId, req.params.name, bytes);
+
+    const createdAt = new Date().toISOString();
+    saved.set(req.params.name, { createdAt, bytes, containers });
+    res.status(201).json({ message: `Snapshot '${req.params.name}' saved`, name: req.params.name, createdAt, bytes, containers: Object.keys(containers) });
+});
+
+app.delete('/_snapshots/:name', requireAdmin, async (req, res) => {
+    if (!tenantSnapshots(req.userId).delete(req.params.name)) {
+        return res.status(404).json({ error: `Snapshot '${req.params.name}' not found` });
+    }
+    res.status(204).send();
+});
+
+// Wipes every container of the tenant, then restores the named snapshot if one is given.
+// Sessions, quota overrides and the UUID itself are kept. The quota is checked for the restored
+// tenant before anything changes, and the snapshot is written before stale containers are
+// dropped, so a failure leaves the tenant's data in place rather than half deleted.
+app.post('/_reset', requireAdmin, async (req, res) => {
+    const { snapshot } = req.body || {};
+    let target = {};
+    if (snapshot) {
+        const saved = tenantSnapshots(req.userId).get(snapshot);
+        if (!saved) return res.status(404).json({ error: `Snapshot '${snapshot}' not found` });
+        target = saved.containers;
+    }
+
+    const current = await Storage.listContainers(req.userId);
+    const names = [...new Set([...current, ...Object.keys(target)])].sort();
+    const releases = [];
+    for (const name of names) releases.push(await Locks.acquire(`${req.userId}/${name}`));
+
+    try {
+        await Quota.assertCanRestore(req.userId, target);
+        for (const [name, data] of Object.entries(target)) {
+            await Storage.writeContainer(req.userId, name, structuredClone(data), { checkQuota: false });
+        }
+        for (const name of current) {
+            if (!target[name]) await Storage.deleteContainer(req.userId, name);
+        }
+    } finally {
+        releases.forEach(release => release());
+    }
+
+    for (const name of names) {
+        ChangeFeed.setPermissions(req.userId, name, target[name] ? target[name]._permissions : undefined);
+        ChangeFeed.publish(req.userId, { type: target[name] ? 'reset' : 'drop', container: name });
+    }
+
+    res.json({
+        message: snapshot ? `Tenant restored to snapshot '${snapshot}'` : 'Tenant reset to empty',
+        snapshot: snapshot || null,
+        containers: Object.keys(target)
+    });
+});
+
+// ----------------------------------------------------
+// Container Permissions (per-role table access)
+// ----------------------------------------------------
+
+app.get('/containers/:name/permissions', requireAdmin, async (req, res) => {
+    const data = await Storage.readContainer(req.userId, req.params.name);
+    if (!data) return res.status(404).json({ error: 'Container not found' });
+    res.json({ container: req.params.name, permissions: data._permissions || {} });
+});
+
+app.put('/containers/:name/permissions', requireAdmin, lockContainer, async (req, res) => {
+    const { permissions } = req.body || {};
+    const validationError = validatePermissionMap(permissions);
+    if (validationError) return res.status(400).json({ error: `Validation Error: ${validationError}` });
+
+    const data = await Storage.readContainer(req.userId, req.params.name);
+    if (!data) return res.status(404).json({ error: 'Container not found' });
+
+    data._permissions = permissions;
+    await Storage.writeContainer(req.userId, req.params.name, data);
+    ChangeFeed.permissionsChanged(req.userId, req.params.name, permissions);
+    res.json({ message: 'Permissions updated successfully', permissions });
+});
+
+app.patch('/containers/:name/permissions/:role', requireAdmin, lockContainer, async (req, res) => {
+    const { name, role } = req.params;
+    const grant = { read: req.body?.read, write: req.body?.write };
+    const validationError = validatePermissionMap({ [role]: grant });
+    if (validationError) return res.status(400).json({ error: `Validation Error: ${validationError}` });
+
+    const data = await Storage.readContainer(req.userId, name);
+    if (!data) return res.status(404).json({ error: 'Container not found' });
+
+    data._permissions = { ...(data._permissions || {}), [role]: grant };
+    await Storage.writeContainer(req.userId, name, data);
+    ChangeFeed.permissionsChanged(req.userId, name, data._permissions);
+    res.json({ message: `Permissions for role '${role}' updated`, permissions: data._permissions });
+});
+
+app.delete('/containers/:name/permissions/:role', requireAdmin, lockContainer, async (req, res) => {
+    const { name, role } = req.params;
+    const data = await Storage.readContainer(req.userId, name);
+    if (!data) return res.status(404).json({ error: 'Container not found' });
+    if (!data._permissions || !data._permissions[role]) return res.status(404).json({ error: `No permissions defined for role '${role}'` });
+
+    delete data._permissions[role];
+    if (Object.keys(data._permissions).length === 0) delete data._permissions;
+    await Storage.writeContainer(req.userId, name, data);
+    ChangeFeed.permissionsChanged(req.userId, name, data._permissions);
+    res.status(204).send();
+});
+
+// ----------------------------------------------------
+// Change Feed Routes (SSE & WebSocket)
+// ----------------------------------------------------
+
+// Table-level changes (schema, primary key, options, indexes, migrations, bulk transforms)
+const publishTableChange = (req, change, details = {}) => ChangeFeed.publish(req.userId, {
+    type: 'schema',
+    container: req.params.container,
+    table: req.params.table,
+    change,
+    ...details
+});
+
+// Server-Sent Events: one stream per subscription, every event is a JSON `data:` line
+const streamChanges = async (req, res) => {
+    const { container, table = null } = req.params;
+    const data = await Storage.readContainer(req.userId, container);
+    if (!data) return res.status(404).json({ error: 'Container not found' });
+    if (!table && !canReadContainer(req.userRole, data._permissions)) {
+        throw new HttpError(403, `Forbidden: role '${req.userRole}' cannot read container '${container}'`);
+    }
+    const permissions = data._permissions;
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+    const unsubscribe = ChangeFeed.subscribe(req.userId, { container, table, role: req.userRole, permissions, send, close: () => res.end() });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), CHANGE_FEED_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+    send({ type: 'subscribed', container, table });
+};
+
+app.get('/:container/_changes', streamChanges);
+app.get('/:container/:table/_changes', requireTableAccess('read'), streamChanges);
+
+// WebSocket at /_changes: clients send { action: 'subscribe' | 'unsubscribe', container, table? }
+const changeSockets = new WebSocketServer({ noServer: true });
+
+const handleChangeSocket = (socket, { userId, role }) => {
+    const subscriptions = new Map(); // "container/table" -> unsubscribe
+    const send = (event) => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+    };
+    const sendError = (error) => send({ type: 'error', error });
+
+    socket.on('message', async (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            return sendError('Malformed JSON message');
+        }
+        const { action, container, table = null } = message || {};
+        if (!['subscribe', 'unsubscribe'].includes(action)) return sendError("'action' must be 'subscribe' or 'unsubscribe'");
+        if (typeof container !== 'string' || container === '') return sendError("'container' is required");
+        if (table !== null && typeof table !== 'string') return sendError("'table' must be a string");
+
+        const key = `${container}/${table ?? ''}`;
+        if (action === 'unsubscribe') {
+            if (subscriptions.has(key)) subscriptions.get(key)();
+            subscriptions.delete(key);
+            return send({ type: 'unsubscribed', container, table });
+        }
+
+        try {
+            const data = await Storage.readContainer(userId, container);
+            if (!data) return sendError('Container not found');
+            const permissions = data._permissions;
+            if (table ? !canAccessTable(role, permissions, table, 'read') : !canReadContainer(role, permissions)) {
+                return sendError(`Forbidden: role '${role}' cannot read ${table ? `table '${table}'` : `container '${container}'`}`);
+            }
+            if (!subscriptions.has(key)) {
+                subscriptions.set(key, ChangeFeed.subscribe(userId, { container, table, role, permissions, send, close: () => socket.close(1000, 'Tenant closed') }));
+            }
+            send({ type: 'subscribed', container, table });
+        } catch (err) {
+            console.error('[CHANGES] Subscribe failed:', err);
+            sendError('Internal Server Error');
+        }
+    });
+
+    socket.on('close', () => subscriptions.forEach(unsubscribe => unsubscribe()));
+};
+
+// Upgrades bypass Express, so the WebSocket authenticates with the same credentials. Browsers
+// cannot set headers on a WebSocket, so only the upgrade also accepts ?token=
+const attachChangeSocket = (server) => server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/_changes') return socket.destroy();
+
+    const identity = resolveIdentity(requestCredentials(req.headers, {}, url.searchParams.get('token') || undefined));
+    if (identity.error) {
+        if (identity.reason) console.warn(`[AUTH] Blocked WebSocket /_changes - ${identity.reason}`);
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+    }
+
+    Activity.touch(identity.userId).catch(() => { });
+    changeSockets.handleUpgrade(req, socket, head, (ws) => handleChangeSocket(ws, identity));
+});
+
+// ----------------------------------------------------
+// Table Ops
+// ----------------------------------------------------
+
+app.delete('/:container/:table', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const data = await Storage.readContainer(req.userId, container);
+
+    if (!data || !data[table]) return res.status(404).json({ error: `Table '${table}' not found` });
+
+    // Foreign keys in other tables are resolved first; the table itself is dropped as a whole
+    const tables = await Storage.listTables(req.userId, container);
+    if (referencesTo(tables, table).length > 0) {
+        const plan = await deletePlanFor(req.userId, container, tables, table, getTableRecords(data[table]).map(r => r.id));
+        await assertCanWritePlan(req, container, plan);
+        await applyDeletePlan(req.userId, container, plan, table);
+        ChangeFeed.publish(req.userId, { type: 'drop', container, table });
+        return res.status(204).send();
+    }
+
+    delete data[table];
+    await Storage.writeContainer(req.userId, container, data);
+    ChangeFeed.publish(req.userId, { type: 'drop', container, table });
+    res.status(204).send();
+});
+
+app.patch('/:container/:table/rename', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const { newName } = req.body;
+
+    if (!newName) return res.status(400).json({ error: 'Bad Request: newName required' });
+    if (isReservedTable(newName)) return res.status(400).json({ error: `Table name '${newName}' is reserved` });
+
+    const data = await Storage.readContainer(req.userId, container);
+
+    if (!data || !data[table]) return res.status(404).json({ error: `Table '${table}' not found` });
+    if (data[newName]) return res.status(400).json({ error: `Table '${newName}' already exists` });
+
+    data[newName] = data[table];
+    delete data[table];
+    await Storage.writeContainer(req.userId, container, data);
+    ChangeFeed.publish(req.userId, { type: 'rename', container, table, to: newName });
+
+    res.json({ message: `Table renamed to '${newName}'` });
+});
+
+app.patch('/:container/:table/schema', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const { remove, rename, set } = req.body;
+
+    const data = await Storage.readContainer(req.userId, container);
+
+    if (!data || !data[table]) {
+        return res.status(400).json({ error: `Table '${table}' is invalid or not found` });
+    }
+
+    const isStructured = !Array.isArray(data[table]);
+    const records = isStructured ? data[table].records : data[table];
+
+    if (!Array.isArray(records)) {
+        return res.status(400).json({ error: `Table '${table}' is invalid or not found` });
+    }
+
+    const updatedRecords = records.map(record => {
+        if (rename) Object.entries(rename).forEach(([o, n]) => { if (record[o] !== undefined) { record[n] = record[o]; delete record[o]; } });
+        if (remove) remove.forEach(k => delete record[k]);
+        if (set) Object.entries(set).forEach(([k, v]) => { record[k] = v; });
+        return record;
+    });
+
+    if (isStructured) {
+        data[table].records = updatedRecords;
+    } else {
+        data[table] = updatedRecords;
+    }
+
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'transform');
+    res.json({ message: `Schema bulk update applied`, count: updatedRecords.length });
+});
+
+app.patch('/:container/:table/schema-definition', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const { name, remove, ...column } = req.body;
+    const { type } = column;
+    // Bare type names stay bare; any constraint turns the column into a definition object
+    const definition = Object.keys(column).length === 1 ? type : column;
+    if (name && !remove) assertValidSchemaDefinition({ [name]: definition });
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (!data || !data[table]) return res.status(404).json({ error: `Table '${table}' not found` });
+
+    if (name && !remove) assertUniqueColumns(getTableRecords(data[table]), { [name]: definition });
+
+    if (!Array.isArray(data[table])) {
+        data[table]._schema = data[table]._schema || {};
+        if (remove) {
+            delete data[table]._schema[remove];
+        } else if (name && type) {
+            data[table]._schema[name] = definition;
+        }
+    } else {
+        // Convert to structured if needed? or just fail for now
+        if (name && type) {
+            data[table] = {
+                _schema: { [name]: definition },
+                records: data[table]
+            };
+        }
+    }
+
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'schema');
+    res.json({ message: 'Schema definition updated successfully', schema: data[table]._schema || {} });
+});
+
+// JSON Schema import/export of a table's `_schema`
+app.get('/:container/:table/_jsonschema', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const info = await Storage.getTableInfo(req.userId, container, table);
+    if (!info) throw tableNotFound(table);
+    res.type('application/schema+json').send(JSON.stringify(toJsonSchema(table, info.props), null, 2));
+});
+
+app.put('/:container/:table/_jsonschema', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    if (isReservedTable(table)) return res.status(400).json({ error: `Table name '${table}' is reserved` });
+    const { _schema, _strict } = fromJsonSchema(req.body);
+
+    if (!await Storage.getTableInfo(req.userId, container, table)) {
+        await Storage.createTable(req.userId, container, table, { _schema, _strict });
+        publishTableChange(req, 'schema', { created: true });
+        return res.status(201).json({ message: 'Table created from JSON Schema', schema: _schema, strict: _strict });
+    }
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (Array.isArray(data[table])) data[table] = { records: data[table] };
+    assertUniqueColumns(data[table].records, _schema);
+    data[table]._schema = _schema;
+    data[table]._strict = _strict;
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'schema');
+    res.json({ message: 'Schema replaced from JSON Schema', schema: _schema, strict: _strict });
+});
+
+// Primary key strategy of a table (`_primaryKey`); new tables are created on first configuration
+app.get('/:container/:table/_primarykey', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const info = await Storage.getTableInfo(req.userId, container, table);
+    if (!info) throw tableNotFound(table);
+    res.json({ primaryKey: primaryKeyOf(info.props) });
+});
+
+app.put('/:container/:table/_primarykey', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    if (isReservedTable(table)) return res.status(400).json({ error: `Table name '${table}' is reserved` });
+
+    if (!await Storage.getTableInfo(req.userId, container, table)) {
+        const primaryKey = primaryKeyConfig(req.body, []);
+        await Storage.createTable(req.userId, container, table, { _primaryKey: primaryKey });
+        publishTableChange(req, 'primaryKey', { created: true });
+        return res.status(201).json({ message: 'Table created', primaryKey });
+    }
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (Array.isArray(data[table])) data[table] = { records: data[table] };
+    const primaryKey = primaryKeyConfig(req.body, data[table].records);
+    data[table]._primaryKey = primaryKey;
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'primaryKey');
+    res.json({ message: 'Primary key updated', primaryKey });
+});
+
+// Schema migration: type changes, renames and drops applied to `_schema` and every record at once
+app.post('/:container/:table/_migrate', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const { operations, dryRun = req.query.dryRun === 'true' } = req.body || {};
+    if (typeof dryRun !== 'boolean') return res.status(400).json({ error: "'dryRun' must be a boolean" });
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (!data || !data[table]) throw tableNotFound(table);
+
+    const { tableData, report } = planMigration(data[table], operations);
+    if (dryRun) return res.json({ dryRun: true, ...report });
+    if (report.failed > 0 || report.conflicts.length > 0) {
+        return res.status(409).json({ error: 'Migration aborted: some records cannot be migrated', ...report });
+    }
+
+    data[table] = tableData;
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'migration');
+    res.json({ message: 'Migration applied', ...report });
+});
+
+// Table options (`_options`): automatic timestamps and soft delete
+app.get('/:container/:table/_options', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const info = await Storage.getTableInfo(req.userId, container, table);
+    if (!info) throw tableNotFound(table);
+    res.json({ options: tableOptionsOf(info.props) });
+});
+
+app.patch('/:container/:table/_options', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    if (isReservedTable(table)) return res.status(400).json({ error: `Table name '${table}' is reserved` });
+
+    const changes = req.body || {};
+    const unknown = Object.keys(changes).filter(key => !TABLE_OPTIONS.includes(key));
+    if (unknown.length > 0) return res.status(400).json({ error: `Unknown table options: ${unknown.join(', ')}`, allowed: TABLE_OPTIONS });
+    const invalid = Object.keys(changes).find(key => typeof changes[key] !== 'boolean');
+    if (invalid) return res.status(400).json({ error: `'${invalid}' must be a boolean` });
+
+    if (!await Storage.getTableInfo(req.userId, container, table)) {
+        const options = tableOptionsOf({ _options: changes });
+        await Storage.createTable(req.userId, container, table, { _options: options });
+        publishTableChange(req, 'options', { created: true });
+        return res.status(201).json({ message: 'Table created', options });
+    }
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (Array.isArray(data[table])) data[table] = { records: data[table] };
+    const options = { ...tableOptionsOf(data[table]), ...changes };
+    data[table]._options = options;
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'options');
+    res.json({ message: 'Table options updated', options });
+});
+
+// Permanently removes soft-deleted records (optionally only `ids`, or those deleted before `before`)
+app.post('/:container/:table/_purge', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const { ids, before } = req.body || {};
+    if (ids !== undefined && !Array.isArray(ids)) return res.status(400).json({ error: "'ids' must be an array" });
+    if (before !== undefined && isNaN(Date.parse(before))) return res.status(400).json({ error: "'before' must be an ISO date" });
+
+    const info = await Storage.getTableInfo(req.userId, container, table);
+    if (!info) throw tableNotFound(table);
+    if (!tableOptionsOf(info.props).softDelete) return res.status(400).json({ error: `Soft delete is not enabled on table '${table}'` });
+
+    const { records } = await Storage.queryRecords(req.userId, container, table, { query: { deletedAt: { $ne: null } } });
+    const wanted = ids ? new Set(ids.map(String)) : null;
+    const purged = records
+        .filter(record => !wanted || wanted.has(String(record.id)))
+        .filter(record => before === undefined || Date.parse(record.deletedAt) <= Date.parse(before))
+        .map(record => record.id);
+
+    if (purged.length > 0) {
+        const tables = await Storage.listTables(req.userId, container);
+        const plan = await deletePlanFor(req.userId, container, tables, table, purged);
+        await assertCanWritePlan(req, container, plan);
+        await applyDeletePlan(req.userId, container, plan);
+    }
+    res.json({ message: 'Soft-deleted records purged', purged: purged.length });
+});
+
+const parseEnumLimit = (value) => {
+    if (value === undefined) return ENUM_CANDIDATE_LIMIT;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) throw new HttpError(400, "'enumLimit' must be a non-negative integer");
+    return limit;
+};
+
+// Schema inference: report only (GET) or apply the inferred columns, converting legacy array tables (POST)
+app.get('/:container/:table/_infer', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const enumLimit = parseEnumLimit(req.query.enumLimit);
+    const { records } = await Storage.queryRecords(req.userId, container, table);
+    res.json(inferSchema(records, enumLimit));
+});
+
+app.post('/:container/:table/_infer', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const enumLimit = parseEnumLimit((req.body || {}).enumLimit);
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (!data || !data[table]) throw tableNotFound(table);
+    if (Array.isArray(data[table])) data[table] = { records: data[table] };
+
+    const inference = inferSchema(data[table].records, enumLimit);
+    // Declared columns win; only undeclared fields are added
+    const existing = data[table]._schema || {};
+    const added = Object.keys(inference.schema).filter(field => existing[field] === undefined);
+    const schema = { ...existing, ...Object.fromEntries(added.map(field => [field, inference.schema[field]])) };
+    assertValidSchemaDefinition(schema);
+
+    data[table]._schema = schema;
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'schema');
+    res.json({ message: 'Inferred schema applied', ...inference, schema, added });
+});
+
+// Secondary indexes: definitions are stored in the table's `_indexes` ([{ field, unique }])
+app.get('/:container/:table/_indexes', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const info = await Storage.getTableInfo(req.userId, container, table);
+    if (!info) throw tableNotFound(table);
+    res.json({ indexes: indexDefinitions(info.props) });
+});
+
+app.post('/:container/:table/_indexes', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table } = req.params;
+    const { field, unique = false } = req.body || {};
+
+    if (typeof field !== 'string' || field.trim() === '') return res.status(400).json({ error: "Index requires a 'field' name" });
+    if (typeof unique !== 'boolean') return res.status(400).json({ error: "'unique' must be a boolean" });
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (!data || !data[table]) throw tableNotFound(table);
+    if (Array.isArray(data[table])) data[table] = { records: data[table] };
+
+    const indexes = data[table]._indexes || [];
+    if (indexDefinitions(data[table]).some(index => index.field === field)) {
+        return res.status(409).json({ error: `Index on '${field}' already exists` });
+    }
+
+    const duplicates = unique ? duplicateValues(data[table].records, field) : [];
+    if (duplicates.length > 0) {
+        return res.status(409).json({ error: `Cannot create unique index on '${field}': existing records contain duplicates`, duplicates });
+    }
+
+    const index = { field, unique };
+    data[table]._indexes = [...indexes, index];
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'indexes');
+    res.status(201).json({ message: 'Index created', index });
+});
+
+app.delete('/:container/:table/_indexes/:field', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table, field } = req.params;
+    if (field === 'id') return res.status(400).json({ error: "The implicit index on 'id' cannot be dropped" });
+
+    const data = await Storage.readContainer(req.userId, container);
+    if (!data || !data[table]) throw tableNotFound(table);
+    const indexes = Array.isArray(data[table]) ? [] : data[table]._indexes || [];
+    if (!indexes.some(index => index.field === field)) return res.status(404).json({ error: `Index on '${field}' not found` });
+
+    data[table]._indexes = indexes.filter(index => index.field !== field);
+    await Storage.writeContainer(req.userId, container, data);
+    publishTableChange(req, 'indexes');
+    res.status(204).send();
 });
 
-app.post('/auth/login', async (req, res) => {
-    const userId = req.headers['x-user-id'];
-    if (!userId) return res.status(400).json({ error: 'x-user-id header required' });
+// ----------------------------------------------------
+// Data Ops (Full CRUD on /:container/:table & ID)
+// ----------------------------------------------------
+
+const getTableRecords = (tableData) => {
+    if (!tableData) return null;
+    return Array.isArray(tableData) ? tableData : tableData.records;
+};
+
+// ----------------------------------------------------
+// Schema Validation (`_schema` column definitions)
+// ----------------------------------------------------
 
-    const requestedRole = (req.body.role || '').toLowerCase();
-    const role = requestedRole === 'admin' ? 'admin' : 'viewer';
+// A column is a bare type name ('Number') or an object:
+// { type, required, unique (top-level columns; enforced like a unique index), default, enum, min, max, minLength, maxLength, pattern,
+//   items (Array element column), schema (Object nested columns), strict (Object: no undeclared keys),
+//   ref, as, onDelete (foreign keys, see Foreign Keys), searchable }
+// A table-level `_strict: true` rejects record fields that are not declared in `_schema`.
+const SCHEMA_TYPES = ['String', 'Number', 'Integer', 'Boolean', 'Date', 'Array', 'Object', 'Email', 'UUID', 'URL'];
+const COLUMN_KEYS = ['type', 'required', 'unique', 'default', 'enum', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'items', 'schema', 'strict', 'ref', 'as', 'onDelete', 'searchable'];
+const STRING_TYPES = ['String', 'Email', 'UUID', 'URL'];
 
-    // Default expiration from env or 1 hour
-    const defaultExpire = parseInt(process.env.SESSION_EXPIRE, 10) || (3600 * 1000);
-    const expiresIn = req.body.expiresIn || defaultExpire;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-    // Create a secure JWT instead of random hex 
-    const token = jwt.sign({ userId, role }, JWT_SECRET, { expiresIn: `${expiresIn}ms` });
-    const expiresAt = new Date(Date.now() + expiresIn).toISOString();
+const columnOf = (definition) => (typeof definition === 'string' ? { type: definition } : definition || {});
 
-    const sessionData = { token, expires_at: expiresAt, role };
-    await Storage.saveUserSession(userId, sessionData);
+class ValidationError extends HttpError {
+    constructor(errors) {
+        super(400, `Validation Error: ${errors.map(e => e.message).join('; ')}`, { errors });
+    }
+}
 
-    res.json({ message: 'Login successful', token, expires_at: expiresAt, role });
-});
+const isUrl = (value) => {
+    try {
+        return Boolean(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
 
-app.post('/auth/dev-login', async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+// null when `value` has the column's type, else the error message
+const typeError = (field, type, value) => {
+    const fail = (expected) => `Field '${field}' expects ${expected}`;
+    switch (type) {
+        case 'String': return typeof value === 'string' ? null : fail('String');
+        case 'Number': return typeof value === 'number' && Number.isFinite(value) ? null : fail('Number');
+        case 'Integer': return Number.isInteger(value) ? null : fail('Integer');
+        case 'Boolean': return typeof value === 'boolean' ? null : fail('Boolean');
+        case 'Date': return (typeof value === 'string' || typeof value === 'number') && !isNaN(Date.parse(value)) ? null : fail('a valid ISO Date string');
+        case 'Array': return Array.isArray(value) ? null : fail('Array');
+        case 'Object': return isPlainObject(value) ? null : fail('Object');
+        case 'Email': return typeof value === 'string' && EMAIL_PATTERN.test(value) ? null : fail('a valid Email address');
+        case 'UUID': return typeof value === 'string' && UUID_PATTERN.test(value) ? null : fail('a valid UUID');
+        case 'URL': return typeof value === 'string' && isUrl(value) ? null : fail('a valid URL');
+        default: return null;
+    }
+};
 
-    let user = null;
-    const hashedPassword = crypto.createHash('sha256').update(password).digest('hex');
+// Compiled schema `pattern`s, shared by every table that declares the same source; least
+// recently used first. A source that fails unsafeRegexReason (stored before it was checked at
+// definition time) maps to its reason and is never run.
+const SCHEMA_PATTERN_LIMIT = 1000;
+const schemaPatterns = new Map();
 
-    if (STORE_MODE === 'mongodb') {
-        user = await db.collection('users').findOne({ email, password: hashedPassword });
+const schemaPattern = (source) => {
+    let compiled = schemaPatterns.get(source);
+    if (compiled !== undefined) {
+        schemaPatterns.delete(source);
     } else {
-        // Simple scan for local (slow but dev only)
-        const dirs = await fs.readdir(DATA_DIR);
-        for (const d of dirs) {
+        compiled = unsafeRegexReason(source) || new RegExp(source);
+        if (schemaPatterns.size >= SCHEMA_PATTERN_LIMIT) schemaPatterns.delete(schemaPatterns.keys().next().value);
+    }
+    schemaPatterns.set(source, compiled);
+    return compiled;
+};
+
+const validateColumn = (field, definition, value, errors) => {
+    const column = columnOf(definition);
+    const push = (rule, message, extra = {}) => errors.push({ field, rule, message, ...extra });
+
+    if (value === undefined || value === null) {
+        if (column.required) push('required', `Field '${field}' is required`);
+        return;
+    }
+
+    const mismatch = column.type ? typeError(field, column.type, value) : null;
+    if (mismatch) return push('type', mismatch, { expected: column.type });
+
+    if (Array.isArray(column.enum) && !column.enum.some(option => queryEquals(value, option))) {
+        push('enum', `Field '${field}' must be one of ${column.enum.map(o => JSON.stringify(o)).join(', ')}`, { allowed: column.enum });
+    }
+
+    const comparable = column.type === 'Date' ? Date.parse(value) : value;
+    const bound = (limit) => (column.type === 'Date' ? Date.parse(limit) : limit);
+    if (typeof comparable === 'number') {
+        if (column.min !== undefined && comparable < bound(column.min)) push('min', `Field '${field}' must be >= ${column.min}`, { min: column.min });
+        if (column.max !== undefined && comparable > bound(column.max)) push('max', `Field '${field}' must be <= ${column.max}`, { max: column.max });
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+        const unit = Array.isArray(value) ? 'items' : 'characters';
+        if (column.minLength !== undefined && value.length < column.minLength) {
+            push('minLength', `Field '${field}' must have at least ${column.minLength} ${unit}`, { minLength: column.minLength });
+        }
+        if (column.maxLength !== undefined && value.length > column.maxLength) {
+            push('maxLength', `Field '${field}' must have at most ${column.maxLength} ${unit}`, { maxLength: column.maxLength });
+        }
+    }
+
+    if (column.pattern !== undefined && typeof value === 'string') {
+        const pattern = schemaPattern(column.pattern);
+        if (typeof pattern === 'string') push('pattern', `Field '${field}' cannot be checked: its schema pattern ${pattern}`, { pattern: column.pattern });
+        else if (!pattern.test(value)) push('pattern', `Field '${field}' must match ${column.pattern}`, { pattern: column.pattern });
+    }
+
+    if (Array.isArray(value) && column.items !== undefined) {
+        value.forEach((item, i) => validateColumn(`${field}[${i}]`, column.items, item, errors));
+    }
+    if (isPlainObject(value) && column.schema) {
+        for (const [key, nested] of Object.entries(column.schema)) validateColumn(`${field}.${key}`, nested, value[key], errors);
+        if (column.strict) undeclaredFields(value, column.schema, `${field}.`, errors);
+    }
+};
+
+const undeclaredFields = (value, columns, prefix, errors) => {
+    for (const key of Object.keys(value)) {
+        if (columns[key] !== undefined || (prefix === '' && key === 'id')) continue;
+        errors.push({ field: `${prefix}${key}`, rule: 'strict', message: `Field '${prefix}${key}' is not declared in the schema` });
+    }
+};
+
+/**
+ * Validates a record against a table `_schema` and returns every error found
+ * ([{ field, rule, message, ... }], empty when valid). With `partial` (PATCH) only
+ * the fields present in the payload are checked; `strict` (the table's `_strict`)
+ * also rejects fields the schema does not declare.
+ */
+const validateAgainstSchema = (payload, schema, { partial = false, strict = false } = {}) => {
+    const errors = [];
+    for (const [field, definition] of Object.entries(schema || {})) {
+        if (partial && !(field in payload)) continue;
+        validateColumn(field, definition, payload[field], errors);
+    }
+    if (strict) undeclaredFields(payload, schema || {}, '', errors);
+    return errors;
+};
+
+const assertValid = (payload, schema, options) => {
+    const errors = validateAgainstSchema(payload, schema, options);
+    if (errors.length > 0) throw new ValidationError(errors);
+};
+
+// Fills in missing fields from column `default`s, including inside nested Object columns
+const applyDefaults = (payload, schema) => {
+    for (const [field, definition] of Object.entries(schema || {})) {
+        const column = columnOf(definition);
+        if (payload[field] === undefined && column.default !== undefined) payload[field] = structuredClone(column.default);
+        if (isPlainObject(payload[field]) && column.schema) applyDefaults(payload[field], column.schema);
+    }
+    return payload;
+};
+
+// Checks a `_schema` (or one column) before it is stored; returns a list of problems
+const schemaDefinitionErrors = (schema, prefix = '') => Object.entries(schema || {})
+    .flatMap(([field, definition]) => columnDefinitionErrors(`${prefix}${field}`, definition));
+
+const columnDefinitionErrors = (field, definition) => {
+    const column = columnOf(definition);
+    if (!isPlainObject(column)) return [`Column '${field}' must be a type name or an object`];
+
+    const errors = [];
+    const unknown = Object.keys(column).filter(key => !COLUMN_KEYS.includes(key));
+    if (unknown.length > 0) errors.push(`Column '${field}' has unknown keys: ${unknown.join(', ')}`);
+    if (!SCHEMA_TYPES.includes(column.type)) errors.push(`Column '${field}' has unsupported type '${column.type}' (expected one of ${SCHEMA_TYPES.join(', ')})`);
+    if (column.enum !== undefined && !Array.isArray(column.enum)) errors.push(`Column '${field}': enum must be an array`);
+    for (const key of ['required', 'unique', 'strict', 'searchable']) {
+        if (column[key] !== undefined && typeof column[key] !== 'boolean') errors.push(`Column '${field}': ${key} must be a boolean`);
+    }
+    if (column.unique && /[.[]/.test(field)) errors.push(`Column '${field}': unique is only supported on top-level columns`);
+    if (column.ref !== undefined && (typeof column.ref !== 'string' || column.ref === '')) errors.push(`Column '${field}': ref must be a table name`);
+    if (column.ref !== undefined && /[.[]/.test(field)) errors.push(`Column '${field}': ref is only supported on top-level columns`);
+    if (column.onDelete !== undefined) {
+        if (column.ref === undefined) errors.push(`Column '${field}': onDelete requires ref`);
+        if (!ON_DELETE_RULES.includes(column.onDelete)) errors.push(`Column '${field}': onDelete must be one of ${ON_DELETE_RULES.join(', ')}`);
+        if (column.onDelete === 'set null' && column.required) errors.push(`Column '${field}': onDelete 'set null' cannot be used on a required column`);
+    }
+    for (const key of ['minLength', 'maxLength']) {
+        if (column[key] !== undefined && !(Number.isInteger(column[key]) && column[key] >= 0)) errors.push(`Column '${field}': ${key} must be a non-negative integer`);
+    }
+    for (const key of ['min', 'max']) {
+        const valid = column.type === 'Date' ? !isNaN(Date.parse(column[key])) : Number.isFinite(column[key]);
+        if (column[key] !== undefined && !valid) errors.push(`Column '${field}': ${key} must be a ${column.type === 'Date' ? 'date' : 'number'}`);
+    }
+    if (column.pattern !== undefined) {
+        const unsafe = typeof column.pattern === 'string' ? unsafeRegexReason(column.pattern) : 'must be a string';
+        if (unsafe) {
+            errors.push(`Column '${field}': pattern ${unsafe}`);
+        } else {
             try {
-                const profile = JSON.parse(await fs.readFile(path.join(DATA_DIR, d, 'profile.json'), 'utf8'));
-                if (profile.email === email && profile.password === hashedPassword) {
-                    user = profile;
-                    break;
-                }
-            } catch { }
+                new RegExp(column.pattern);
+            } catch {
+                errors.push(`Column '${field}': pattern is not a valid regular expression`);
+            }
         }
     }
+    if (column.items !== undefined) errors.push(...columnDefinitionErrors(`${field}[]`, column.items));
+    if (column.schema !== undefined) {
+        if (isPlainObject(column.schema)) errors.push(...schemaDefinitionErrors(column.schema, `${field}.`));
+        else errors.push(`Column '${field}': schema must be an object of columns`);
+    }
+    if (column.default !== undefined && errors.length === 0) {
+        const defaultErrors = [];
+        validateColumn(field, { ...column, required: false }, column.default, defaultErrors);
+        errors.push(...defaultErrors.map(e => `Default of column '${field}' is invalid: ${e.message}`));
+    }
+    return errors;
+};
 
-    const adminEmail = process.env.ADMIN_EMAIL;
-    if (!user || user.email !== adminEmail) {
-        return res.status(401).json({ error: 'Invalid developer credentials' });
+const assertValidSchemaDefinition = (schema) => {
+    const errors = schemaDefinitionErrors(schema);
+    if (errors.length > 0) throw new HttpError(400, 'Invalid schema definition', { errors });
+};
+
+// ----------------------------------------------------
+// JSON Schema (draft 2020-12) Import/Export
+// ----------------------------------------------------
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Annotations carry no validation semantics and are dropped on import
+const JSON_SCHEMA_ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'examples', 'deprecated', 'readOnly', 'writeOnly'];
+
+// JSON Schema `format` -> column type (other formats are annotations in 2020-12 and stay String)
+const FORMAT_TYPES = { 'email': 'Email', 'uuid': 'UUID', 'uri': 'URL', 'date-time': 'Date', 'date': 'Date' };
+const TYPE_FORMATS = { Email: 'email', UUID: 'uuid', URL: 'uri', Date: 'date-time' };
+
+// Column keys exported under `x-` names so a round trip keeps them
+const EXTENSION_KEYS = ['unique', 'ref', 'as', 'onDelete', 'searchable'];
+
+const jsonTypeOf = (node) => {
+    if (node.type === undefined) {
+        if (Array.isArray(node.enum) || node.const !== undefined) {
+            const values = node.const !== undefined ? [node.const] : node.enum;
+            const kinds = new Set(values.filter(v => v !== null).map(v => (Array.isArray(v) ? 'array' : typeof v)));
+            if (kinds.size === 1) return [...kinds][0];
+        }
+        return undefined;
     }
+    const types = (Array.isArray(node.type) ? node.type : [node.type]).filter(t => t !== 'null');
+    return types.length === 1 ? types[0] : types;
+};
 
-    const token = jwt.sign({ userId: user.userId, role: 'admin', email: user.email }, JWT_SECRET, { expiresIn: '8h' });
-    res.json({ message: 'Developer login successful', token, userId: user.userId });
-});
+// Converts one JSON Schema property to a column; unsupported keywords are reported in `errors`
+const columnFromJsonSchema = (field, node, errors) => {
+    if (!isPlainObject(node)) {
+        errors.push(`Property '${field}' must be a schema object`);
+        return null;
+    }
+
+    const jsonType = jsonTypeOf(node);
+    const column = {};
+    const handled = new Set(['type', ...JSON_SCHEMA_ANNOTATIONS]);
+    const take = (keyword, key = keyword) => {
+        handled.add(keyword);
+        if (node[keyword] !== undefined) column[key] = node[keyword];
+    };
+
+    switch (jsonType) {
+        case 'string':
+            handled.add('format');
+            column.type = FORMAT_TYPES[node.format] || 'String';
+            if (column.type !== 'Date') {
+                take('minLength');
+                take('maxLength');
+                take('pattern');
+            }
+            break;
+        case 'number': column.type = 'Number'; break;
+        case 'integer': column.type = 'Integer'; break;
+        case 'boolean': column.type = 'Boolean'; break;
+        case 'array':
+            column.type = 'Array';
+            take('minItems', 'minLength');
+            take('maxItems', 'maxLength');
+            handled.add('items');
+            if (node.items !== undefined) column.items = columnFromJsonSchema(`${field}[]`, node.items, errors);
+            break;
+        case 'object': {
+            column.type = 'Object';
+            const nested = objectFromJsonSchema(field, node, errors);
+            ['properties', 'required', 'additionalProperties'].forEach(keyword => handled.add(keyword));
+            if (Object.keys(nested.schema).length > 0) column.schema = nested.schema;
+            if (nested.strict) column.strict = true;
+            break;
+        }
+        case undefined:
+            errors.push(`Property '${field}' must declare a type`);
+            return null;
+        default:
+            errors.push(`Property '${field}' has unsupported type ${JSON.stringify(node.type)}`);
+            return null;
+    }
+
+    if (['Number', 'Integer'].includes(column.type)) {
+        take('minimum', 'min');
+        take('maximum', 'max');
+    }
+    // Nullability comes from `required` (optional columns accept null), so null is not an enum option
+    handled.add('enum');
+    handled.add('const');
+    const options = node.const !== undefined ? [node.const] : node.enum;
+    if (options !== undefined) column.enum = Array.isArray(options) ? options.filter(option => option !== null) : options;
+    take('default');
+    EXTENSION_KEYS.forEach(key => take(`x-${key}`, key));
+
+    const unsupported = Object.keys(node).filter(keyword => !handled.has(keyword));
+    if (unsupported.length > 0) errors.push(`Property '${field}' uses unsupported keywords: ${unsupported.join(', ')}`);
+    return column;
+};
+
+// An object schema -> { schema (columns), strict }; `required` becomes per-column `required: true`
+const objectFromJsonSchema = (prefix, node, errors) => {
+    const properties = node.properties || {};
+    const required = node.required || [];
+    const schema = {};
+    if (!isPlainObject(properties)) errors.push(`'properties' of '${prefix || 'root'}' must be an object`);
+    if (!Array.isArray(required)) errors.push(`'required' of '${prefix || 'root'}' must be an array`);
+    if (node.additionalProperties !== undefined && typeof node.additionalProperties !== 'boolean') {
+        errors.push(`'additionalProperties' of '${prefix || 'root'}' must be a boolean`);
+    }
+
+    for (const [key, property] of Object.entries(properties)) {
+        // Record ids are managed by the server
+        if (!prefix && key === 'id') continue;
+        const column = columnFromJsonSchema(prefix ? `${prefix}.${key}` : key, property, errors);
+        if (!column) continue;
+        if (Array.isArray(required) && required.includes(key)) column.required = true;
+        schema[key] = column;
+    }
+    return { schema, strict: node.additionalProperties === false };
+};
+
+/**
+ * Converts a draft 2020-12 JSON Schema describing one record into `{ _schema, _strict }`.
+ * Throws a 400 listing every construct that has no column equivalent ($ref, anyOf, ...),
+ * so an imported schema never validates more loosely than its source.
+ */
+const fromJsonSchema = (document) => {
+    if (!isPlainObject(document)) throw new HttpError(400, 'JSON Schema must be an object');
+    if (document.$schema !== undefined && document.$schema !== JSON_SCHEMA_DIALECT) {
+        throw new HttpError(400, `Unsupported JSON Schema dialect '${document.$schema}' (expected ${JSON_SCHEMA_DIALECT})`);
+    }
+    if (jsonTypeOf(document) !== 'object') throw new HttpError(400, "JSON Schema root must be of type 'object'");
+
+    const errors = [];
+    const { schema, strict } = objectFromJsonSchema('', document, errors);
+    const handled = ['type', 'properties', 'required', 'additionalProperties', ...JSON_SCHEMA_ANNOTATIONS];
+    const unsupported = Object.keys(document).filter(keyword => !handled.includes(keyword));
+    if (unsupported.length > 0) errors.push(`Root uses unsupported keywords: ${unsupported.join(', ')}`);
+    if (errors.length > 0) throw new HttpError(400, 'Unsupported JSON Schema', { errors });
+
+    assertValidSchemaDefinition(schema);
+    return { _schema: schema, _strict: strict };
+};
+
+const columnToJsonSchema = (definition) => {
+    const column = columnOf(definition);
+    const node = {};
+    const put = (key, value) => {
+        if (value !== undefined) node[key] = value;
+    };
+
+    switch (column.type) {
+        case 'Number': node.type = 'number'; break;
+        case 'Integer': node.type = 'integer'; break;
+        case 'Boolean': node.type = 'boolean'; break;
+        case 'Array':
+            node.type = 'array';
+            put('minItems', column.minLength);
+            put('maxItems', column.maxLength);
+            if (column.items !== undefined) node.items = columnToJsonSchema(column.items);
+            break;
+        case 'Object':
+            Object.assign(node, objectToJsonSchema(column.schema || {}, column.strict));
+            break;
+        default:
+            node.type = 'string';
+            put('format', TYPE_FORMATS[column.type]);
+            if (column.type !== 'Date') {
+                put('minLength', column.minLength);
+                put('maxLength', column.maxLength);
+                put('pattern', column.pattern);
+            }
+    }
+    if (['Number', 'Integer'].includes(column.type)) {
+        put('minimum', column.min);
+        put('maximum', column.max);
+    }
+    put('enum', column.enum);
+    put('default', column.default);
+    EXTENSION_KEYS.forEach(key => put(`x-${key}`, column[key]));
+    // Optional columns accept null, exactly like the validator does
+    if (!column.required) {
+        node.type = [node.type, 'null'];
+        if (node.enum) node.enum = [...node.enum, null];
+    }
+    return node;
+};
+
+const objectToJsonSchema = (schema, strict) => {
+    const required = Object.keys(schema).filter(field => columnOf(schema[field]).required);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(schema).map(([field, definition]) => [field, columnToJsonSchema(definition)])),
+        ...(required.length > 0 ? { required } : {}),
+        ...(strict ? { additionalProperties: false } : {})
+    };
+};
+
+// Exports a table's `_schema` as a draft 2020-12 JSON Schema for one record
+const toJsonSchema = (table, props) => {
+    const object = objectToJsonSchema(props._schema || {}, props._strict);
+    return {
+        $schema: JSON_SCHEMA_DIALECT,
+        title: table,
+        ...object,
+        properties: { id: idJsonSchema(props), ...object.properties }
+    };
+};
+
+// ----------------------------------------------------
+// Primary Keys (`_primaryKey`)
+// ----------------------------------------------------
+
+// { strategy: 'uuid' } (default), { strategy: 'autoIncrement', next } or
+// { strategy: 'client', field } where the client supplies the key in `field` (default 'id')
+const PRIMARY_KEY_STRATEGIES = ['uuid', 'autoIncrement', 'client'];
+
+const primaryKeyOf = (props) => (props && props._primaryKey) || { strategy: 'uuid' };
+
+// Path ids are strings; numeric ones also match numeric (auto-increment or natural) keys
+const idCandidates = (id) => (typeof id === 'string' && id.trim() !== '' && !Number.isNaN(Number(id)) ? [id, Number(id)] : [id]);
+
+const idJsonSchema = (props) => {
+    const { strategy } = primaryKeyOf(props);
+    if (strategy === 'autoIncrement') return { type: 'integer', readOnly: true };
+    if (strategy === 'client') return { type: ['string', 'number'] };
+    return { type: 'string', format: 'uuid', readOnly: true };
+};
+
+// Id of a record about to be inserted; undefined lets Storage.insertRecord auto-increment it
+const newRecordId = (body, props) => {
+    const { strategy, field = 'id' } = primaryKeyOf(props);
+    if (strategy === 'autoIncrement') {
+        if (body.id !== undefined) throw new HttpError(400, "Ids of this table are auto-incremented; do not send 'id'");
+        return undefined;
+    }
+    if (strategy === 'client') {
+        const value = body[field];
+        if (!(typeof value === 'string' && value.trim() !== '') && !Number.isFinite(value)) {
+            throw new HttpError(400, `Primary key '${field}' is required (a non-empty string or a number)`);
+        }
+        if (field !== 'id' && body.id !== undefined && body.id !== value) throw new HttpError(400, `'id' must equal the primary key '${field}'`);
+        return value;
+    }
+    return uuidv4();
+};
+
+// PUT/PATCH keep the primary key; only uuid tables let a body `id` move the record (as before)
+const retainPrimaryKey = (current, record, props) => {
+    const { strategy, field = 'id' } = primaryKeyOf(props);
+    if (strategy === 'uuid') return record;
+    for (const key of new Set(['id', field])) {
+        if (record[key] !== undefined && record[key] !== current.id) throw new HttpError(400, `Primary key '${key}' cannot be changed`);
+    }
+    return { ...record, id: current.id, [field]: current.id };
+};
+
+// Validates a `_primaryKey` request against the existing records and returns the stored config
+const primaryKeyConfig = (body, records) => {
+    const { strategy, field } = body || {};
+    if (!PRIMARY_KEY_STRATEGIES.includes(strategy)) {
+        throw new HttpError(400, `'strategy' must be one of ${PRIMARY_KEY_STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'autoIncrement') {
+        // Counting on from the integer ids would leave a table of mixed uuid and integer keys
+        const mismatched = records.filter(r => !Number.isInteger(r.id)).length;
+        if (mismatched > 0) {
+            throw new HttpError(409, 'Existing records must all have integer ids to use autoIncrement', { mismatched });
+        }
+        const highest = records.reduce((max, r) => Math.max(max, r.id), 0);
+        return { strategy, next: highest + 1 };
+    }
+    if (strategy === 'uuid') return { strategy };
+
+    const key = field === undefined ? 'id' : field;
+    if (typeof key !== 'string' || key.trim() === '' || key.includes('.')) throw new HttpError(400, "'field' must be a top-level field name");
+    const mismatched = records.filter(r => r[key] !== r.id).length;
+    if (mismatched > 0) {
+        throw new HttpError(409, `Existing records do not use '${key}' as their id`, { mismatched });
+    }
+    return { strategy, field: key };
+};
+
+// ----------------------------------------------------
+// Schema Migrations (changeType / rename / drop)
+// ----------------------------------------------------
+
+const MIGRATION_OPS = ['changeType', 'rename', 'drop'];
+const MIGRATION_REPORT_LIMIT = 100;
+const BOOLEAN_STRINGS = { true: true, false: false, 1: true, 0: false };
+
+const parseJsonValue = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+// Converts a stored value to a column type ("42" -> 42, 1 -> true, ...); returns { value } or { error }
+const coerceValue = (value, type) => {
+    if (value === undefined || value === null) return { value };
+    let converted = value;
+    switch (type) {
+        case 'String':
+        case 'Email':
+        case 'UUID':
+        case 'URL':
+            if (typeof value === 'number' || typeof value === 'boolean') converted = String(value);
+            break;
+        case 'Number':
+        case 'Integer':
+            if (typeof value === 'string' && value.trim() !== '') converted = Number(value);
+            break;
+        case 'Boolean':
+            if (typeof value === 'string' || typeof value === 'number') {
+                const key = String(value).trim().toLowerCase();
+                if (key in BOOLEAN_STRINGS) converted = BOOLEAN_STRINGS[key];
+            }
+            break;
+        case 'Date':
+            if ((typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value))) converted = new Date(value).toISOString();
+            break;
+        case 'Array':
+            if (typeof value === 'string' && value.trim().startsWith('[')) converted = parseJsonValue(value);
+            else if (!Array.isArray(value)) converted = [value];
+            break;
+        case 'Object':
+            if (typeof value === 'string' && value.trim().startsWith('{')) converted = parseJsonValue(value);
+            break;
+    }
+    return typeError('value', type, converted) ? { error: `Cannot convert ${JSON.stringify(value)} to ${type}` } : { value: converted };
+};
+
+const coerceOption = (field, key, value, type) => {
+    const converted = coerceValue(value, type);
+    if (converted.error) throw new HttpError(400, `Column '${field}' ${key}: ${converted.error}`);
+    return converted.value;
+};
+
+const assertMigratableField = (name, label, primaryKey) => {
+    if (typeof name !== 'string' || name.trim() === '' || name.includes('.')) throw new HttpError(400, `'${label}' must be a top-level field name`);
+    if (name === 'id' || name === primaryKey.field) throw new HttpError(400, `The primary key '${name}' cannot be migrated`);
+};
+
+// Applies one operation to the table props (`_schema`, `_indexes`, `_primaryKey`); throws 400 when invalid
+const migrateProps = (props, operation) => {
+    const { op, field } = operation || {};
+    if (!MIGRATION_OPS.includes(op)) throw new HttpError(400, `Migration 'op' must be one of ${MIGRATION_OPS.join(', ')}`);
+    assertMigratableField(field, 'field', primaryKeyOf(props));
+    const schema = props._schema || {};
+
+    if (op === 'changeType') {
+        if (!SCHEMA_TYPES.includes(operation.type)) throw new HttpError(400, `Unsupported type '${operation.type}' (expected one of ${SCHEMA_TYPES.join(', ')})`);
+        const column = { ...columnOf(schema[field]), type: operation.type };
+        // Defaults and enum options were written for the old type and are converted with the data
+        if (column.default !== undefined) column.default = coerceOption(field, 'default', column.default, column.type);
+        if (Array.isArray(column.enum)) column.enum = column.enum.map(option => coerceOption(field, 'enum', option, column.type));
+        assertValidSchemaDefinition({ [field]: column });
+        props._schema = { ...schema, [field]: Object.keys(column).length === 1 ? column.type : column };
+    } else if (op === 'rename') {
+        const { to } = operation;
+        assertMigratableField(to, 'to', primaryKeyOf(props));
+        if (schema[to] !== undefined) throw new HttpError(400, `Column '${to}' already exists`);
+        if (schema[field] !== undefined) {
+            props._schema = Object.fromEntries(Object.entries(schema).map(([key, column]) => [key === field ? to : key, column]));
+        }
+        if (props._indexes) props._indexes = props._indexes.map(index => (index.field === field ? { ...index, field: to } : index));
+    } else {
+        if (schema[field] !== undefined) {
+            const { [field]: dropped, ...rest } = schema;
+            props._schema = rest;
+        }
+        if (props._indexes) props._indexes = props._indexes.filter(index => index.field !== field);
+    }
+    return props;
+};
+
+// Applies one operation to a record, or records a failure and leaves the record as it was
+const migrateRecord = (record, operation, failures) => {
+    const { op, field } = operation;
+    if (!(field in record)) return record;
+    if (op === 'drop') {
+        const { [field]: dropped, ...rest } = record;
+        return rest;
+    }
+    if (op === 'rename') {
+        if (operation.to in record) {
+            failures.push({ id: record.id, field, error: `Record already has a value for '${operation.to}'` });
+            return record;
+        }
+        return Object.fromEntries(Object.entries(record).map(([key, value]) => [key === field ? operation.to : key, value]));
+    }
+    const converted = coerceValue(record[field], operation.type);
+    if (converted.error) {
+        failures.push({ id: record.id, field, value: record[field], error: converted.error });
+        return record;
+    }
+    return converted.value === record[field] ? record : { ...record, [field]: converted.value };
+};
+
+/**
+ * Runs `operations` over a stored table without touching it. Returns the migrated `tableData`
+ * and a report: how many records change, which cannot be converted (`failures`, capped at
+ * MIGRATION_REPORT_LIMIT) and which unique columns/indexes the converted values would break.
+ */
+const planMigration = (tableData, operations) => {
+    if (!Array.isArray(operations) || operations.length === 0) throw new HttpError(400, "'operations' must be a non-empty array");
+
+    const { records: _, ...stored } = Array.isArray(tableData) ? {} : tableData;
+    const props = operations.reduce(migrateProps, structuredClone(stored));
+
+    const failures = [];
+    const before = getTableRecords(tableData);
+    const records = before.map(record => operations.reduce((next, operation) => migrateRecord(next, operation, failures), record));
+    const changed = records.filter((record, i) => record !== before[i]).length;
+
+    const conflicts = indexDefinitions(props)
+        .filter(index => index.unique && !index.implicit)
+        .map(index => ({ field: index.field, duplicates: duplicateValues(records, index.field) }))
+        .filter(conflict => conflict.duplicates.length > 0);
+
+    const structured = !Array.isArray(tableData) || Object.keys(props).length > 0;
+    return {
+        tableData: structured ? { ...props, records } : records,
+        report: {
+            records: records.length,
+            changed,
+            failed: failures.length,
+            failures: failures.slice(0, MIGRATION_REPORT_LIMIT),
+            conflicts,
+            schema: props._schema || {}
+        }
+    };
+};
+
+// ----------------------------------------------------
+// Timestamps & Soft Delete (`_options`)
+// ----------------------------------------------------
+
+// { timestamps: stamp createdAt/updatedAt, softDelete: DELETE sets deletedAt instead of removing }
+const TABLE_OPTIONS = ['timestamps', 'softDelete'];
+
+const tableOptionsOf = (props) => ({ timestamps: false, softDelete: false, ...((props && props._options) || {}) });
+
+const isDeleted = (record) => record.deletedAt !== undefined && record.deletedAt !== null;
+const wantsDeleted = (req) => req.query._withDeleted === 'true';
+const hidesDeleted = (props, withDeleted) => tableOptionsOf(props).softDelete && !withDeleted;
+
+// The server maintains these fields, so values sent by clients are dropped before validation
+const stripManagedFields = (body, props) => {
+    const { timestamps, softDelete } = tableOptionsOf(props);
+    if (timestamps) ['createdAt', 'updatedAt'].forEach(field => delete body[field]);
+    if (softDelete) delete body.deletedAt;
+    return body;
+};
+
+// Sets updatedAt (and createdAt, kept from `current` on updates) on tables with timestamps
+const stampRecord = (record, props, current = null) => {
+    if (!tableOptionsOf(props).timestamps) return record;
+    const now = new Date().toISOString();
+    const createdAt = current ? current.createdAt : now;
+    return { ...record, ...(createdAt !== undefined ? { createdAt } : {}), updatedAt: now };
+};
+
+// Updates of soft-deleted records behave as if the record was gone
+const assertNotDeleted = (record, props) => {
+    if (tableOptionsOf(props).softDelete && isDeleted(record)) throw new HttpError(404, 'Record not found');
+};
+
+// ----------------------------------------------------
+// Schema Inference (GET/POST /:container/:table/_infer)
+// ----------------------------------------------------
+
+const ENUM_CANDIDATE_LIMIT = 10;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Column type of one stored value; string formats are told apart so they can be inferred too
+const inferValueType = (value) => {
+    if (Array.isArray(value)) return 'Array';
+    if (isPlainObject(value)) return 'Object';
+    if (typeof value === 'boolean') return 'Boolean';
+    if (typeof value === 'number') return 'Number';
+    if (ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value))) return 'Date';
+    if (UUID_PATTERN.test(value)) return 'UUID';
+    if (EMAIL_PATTERN.test(value)) return 'Email';
+    if (/^https?:\/\//i.test(value) && isUrl(value)) return 'URL';
+    return 'String';
+};
+
+// Strings that only sometimes look like a date/UUID/... are plain Strings, not a conflict
+const baseTypeOf = (type) => (STRING_TYPES.includes(type) || type === 'Date' ? 'String' : type);
+
+const inferField = (field, values, total, enumLimit, warnings) => {
+    const present = values.filter(value => value !== undefined);
+    const filled = present.filter(value => value !== null);
+    const types = {};
+    filled.forEach(value => {
+        const type = inferValueType(value);
+        types[type] = (types[type] || 0) + 1;
+    });
+
+    const bases = {};
+    Object.entries(types).forEach(([type, count]) => { bases[baseTypeOf(type)] = (bases[baseTypeOf(type)] || 0) + count; });
+    const ranked = Object.entries(bases).sort((a, b) => b[1] - a[1]);
+    const conflict = ranked.length > 1;
+    let type = ranked.length > 0 ? ranked[0][0] : null;
+    // A format wins only when every string value has it
+    if (type === 'String' && Object.keys(types).length === 1) type = Object.keys(types)[0];
+    if (conflict) {
+        warnings.push(`Field '${field}' has conflicting types: ${ranked.map(([name, count]) => `${name} (${count})`).join(', ')}`);
+    }
+
+    const result = {
+        field,
+        type,
+        types,
+        nulls: present.length - filled.length,
+        missing: total - present.length,
+        nullable: filled.length < total,
+        conflict
+    };
+
+    if (['String', 'Number'].includes(type) && !conflict) {
+        const distinct = [...new Set(filled)];
+        if (distinct.length <= enumLimit && distinct.length < filled.length) result.enumCandidates = distinct.sort(compareValues);
+    }
+
+    if (type === 'Object' && !conflict) {
+        result.fields = inferFields(filled, enumLimit, warnings, `${field}.`);
+    }
+    if (type === 'Array' && !conflict) {
+        const items = filled.flat();
+        const itemTypes = [...new Set(items.filter(item => item !== null).map(item => baseTypeOf(inferValueType(item))))];
+        if (itemTypes.length === 1 && !['Array', 'Object'].includes(itemTypes[0])) result.items = itemTypes[0];
+    }
+    return result;
+};
+
+const inferFields = (records, enumLimit, warnings, prefix = '') => {
+    const names = [...new Set(records.flatMap(record => Object.keys(record)))].filter(name => prefix || name !== 'id');
+    return names.map(name => inferField(`${prefix}${name}`, records.map(record => record[name]), records.length, enumLimit, warnings));
+};
+
+// Column for an inferred field; conflicting or empty fields get no column
+const inferredColumn = (result) => {
+    if (result.conflict || !result.type) return null;
+    const column = { type: result.type };
+    if (!result.nullable) column.required = true;
+    if (result.items) column.items = result.items;
+    if (result.fields) {
+        const schema = inferredSchema(result.fields);
+        if (Object.keys(schema).length > 0) column.schema = schema;
+    }
+    return Object.keys(column).length === 1 ? column.type : column;
+};
+
+const inferredSchema = (fields) => Object.fromEntries(fields
+    .map(result => [result.field.split('.').pop(), inferredColumn(result)])
+    .filter(([, column]) => column !== null));
+
+/**
+ * Scans every record of a table: per field the detected type (with per-type counts), nullability,
+ * enum candidates (at most `enumLimit` distinct, repeated values) and nested fields, plus the
+ * `_schema` built from them. Fields with conflicting types are reported but left out of the schema.
+ */
+const inferSchema = (records, enumLimit = ENUM_CANDIDATE_LIMIT) => {
+    const warnings = [];
+    const fields = inferFields(records, enumLimit, warnings);
+    return { records: records.length, schema: inferredSchema(fields), fields, warnings };
+};
+
+// ----------------------------------------------------
+// Query Filters (?field=, ?field_gte=, ?nested.field_like= ...)
+// ----------------------------------------------------
+
+const FILTER_OPERATORS = ['gte', 'lte', 'gt', 'lt', 'ne', 'like', 'in'];
+const FILTER_KEY_PATTERN = new RegExp(`^(.+)_(${FILTER_OPERATORS.join('|')})$`);
+// Explicit form `field[op]`, for columns whose name ends like an operator or is a list param
+const FILTER_BRACKET_PATTERN = /^(.+)\[([a-z]+)\]$/;
+// Client-supplied regular expressions (`_like`, `$regex`, schema `pattern`) are capped in length
+// and must pass unsafeRegexReason; the cap alone does not stop catastrophic backtracking
+const REGEX_MAX_LENGTH = 100;
+const RANGE_OPERATORS = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+const LIST_PARAMS = ['page', 'limit', 'cursor', 'fields', 'q'];
+
+// Resolves dot notation ("address.city") against a record
+const getPath = (record, field) => field.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    record
+);
+
+// Comparison type of a (dot notation) field: schema columns are a type name ('Number') or a
+// definition object ({ type: 'String', ref: 'users' }) whose Object columns nest further columns.
+// String-like types compare as String; Array/Object fields compare by their stored values.
+const schemaDefinitionOf = (schema, field) => {
+    let definition = null;
+    let columns = schema;
+    for (const key of field.split('.')) {
+        definition = columns ? columns[key] : null;
+        if (definition === null || definition === undefined) return null;
+        columns = typeof definition === 'object' ? definition.schema : null;
+    }
+    return definition;
+};
+
+const schemaTypeOf = (schema, field) => {
+    const definition = schemaDefinitionOf(schema, field);
+    if (!definition) return null;
+    const type = typeof definition === 'string' ? definition : definition.type;
+    if (STRING_TYPES.includes(type)) return 'String';
+    if (type === 'Integer') return 'Number';
+    return ['String', 'Number', 'Boolean', 'Date'].includes(type) ? type : null;
+};
+
+/**
+ * Turns query params into filter conditions: `age_gte=18` -> { field: 'age', op: 'gte', values: ['18'] }.
+ * Params starting with `_` and the pagination params are reserved for the API itself; `field[op]`
+ * reaches any column explicitly, and a `_schema` column is never split into field and operator
+ * (`plug_in=x` filters the `plug_in` column). Repeated params and comma separated `_in` lists
+ * become several values. `_like` patterns are compiled here once (`pattern`), Boolean
+ * columns only accept true/false and Date columns only parseable dates; anything else is a 400.
+ */
+const parseQueryFilters = (query, schema = null) => {
+    const conditions = [];
+    for (const [key, raw] of Object.entries(query || {})) {
+        if (key.startsWith('_') || LIST_PARAMS.includes(key)) continue;
+
+        const bracket = key.match(FILTER_BRACKET_PATTERN);
+        const suffix = !bracket && !schemaDefinitionOf(schema, key) && key.match(FILTER_KEY_PATTERN);
+        const [field, op] = bracket ? [bracket[1], bracket[2]] : suffix ? [suffix[1], suffix[2]] : [key, 'eq'];
+        if (op !== 'eq' && !FILTER_OPERATORS.includes(op)) throw new HttpError(400, `Unknown filter operator '${op}' in '${key}'`);
+
+        let values = (Array.isArray(raw) ? raw : [raw]).map(String);
+        if (op === 'in') values = values.flatMap(v => v.split(','));
+        const condition = { field, op, values };
+
+        if (op === 'like') {
+            condition.pattern = likePattern(values[0], key);
+        } else if (schemaTypeOf(schema, field) === 'Boolean') {
+            const invalid = values.find(v => v !== 'true' && v !== 'false');
+            if (invalid !== undefined) throw new HttpError(400, `Invalid value '${invalid}' for '${key}', expected true or false`);
+        } else if (schemaTypeOf(schema, field) === 'Date') {
+            // Unparseable dates would match nothing locally but reach Mongo as an Invalid Date
+            const invalid = values.find(v => Number.isNaN(Date.parse(v)));
+            if (invalid !== undefined) throw new HttpError(400, `Invalid value '${invalid}' for '${key}', expected a date`);
+        }
+        conditions.push(condition);
+    }
+    return conditions;
+};
+
+// Length of the unbounded quantifier (`*`, `+`, `{n,}`, `{n,m}`) starting at `i`, 0 if none
+const quantifierLength = (source, i) => {
+    if (source[i] === '*' || source[i] === '+') return 1;
+    const range = /^\{\d+,\d*\}/.exec(source.slice(i));
+    return range ? range[0].length : 0;
+};
+
+/**
+ * Why a client-supplied regular expression is refused, or null when it may run. Besides the length
+ * cap this rejects nested quantifiers (`(a+)+`, `(\w*)*`, `(x{1,5})+`): a quantified group that
+ * itself contains a quantifier backtracks exponentially on a near miss and would block the event
+ * loop every tenant shares. Escapes and character classes are skipped, so `[+*]+` and `\++` pass.
+ */
+const unsafeRegexReason = (source) => {
+    if (source.length > REGEX_MAX_LENGTH) return `exceeds ${REGEX_MAX_LENGTH} characters`;
+    const open = []; // one flag per open group: does it contain a quantifier?
+    for (let i = 0; i < source.length; i++) {
+        let quantifiedGroup = false;
+        if (source[i] === '(') {
+            open.push(false);
+            continue;
+        }
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === '[') {
+            for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+        } else if (source[i] === ')') {
+            quantifiedGroup = open.pop() || false;
+        }
+        const length = quantifierLength(source, i + 1);
+        if (length === 0) continue;
+        if (quantifiedGroup) return 'nests quantifiers, which can backtrack catastrophically';
+        open.fill(true);
+        i += length;
+    }
+    return null;
+};
+
+const likePattern = (value, key) => {
+    const unsafe = unsafeRegexReason(value);
+    if (unsafe) throw new HttpError(400, `Pattern for '${key}' ${unsafe}`);
+    try {
+        return new RegExp(value, 'i');
+    } catch {
+        throw new HttpError(400, `Invalid regular expression for '${key}'`);
+    }
+};
+
+// Filters of a list request, typed by the table schema (only loaded when there are filter params)
+const requestFilters = async (req, query) => {
+    if (Object.keys(query).every(key => key.startsWith('_') || LIST_PARAMS.includes(key))) return [];
+    const info = await Storage.getTableInfo(req.userId, req.params.container, req.params.table);
+    return parseQueryFilters(query, info && info.props._schema);
+};
+
+// Without a schema type, a value is compared the way the stored value is typed
+const effectiveType = (schemaType, recordValue) => {
+    if (schemaType) return schemaType;
+    if (typeof recordValue === 'number') return 'Number';
+    if (typeof recordValue === 'boolean') return 'Boolean';
+    return 'String';
+};
+
+const toComparable = (value, type) => {
+    if (type === 'Number') return typeof value === 'number' ? value : Number(value);
+    if (type === 'Date') return Date.parse(value);
+    if (type === 'Boolean') return value === true || value === 'true';
+    return String(value);
+};
+
+const matchesCondition = (recordValue, condition, schemaType) => {
+    const { op, values } = condition;
+    // Arrays match when any element does
+    if (Array.isArray(recordValue) && op !== 'ne') {
+        return recordValue.some(item => matchesCondition(item, condition, schemaType));
+    }
+    if (op === 'like') return recordValue !== undefined && recordValue !== null && condition.pattern.test(String(recordValue));
+
+    const type = effectiveType(schemaType, recordValue);
+    const equals = (raw) => {
+        if (type === 'String') return String(recordValue) === raw;
+        return toComparable(recordValue, type) === toComparable(raw, type);
+    };
+
+    if (op === 'eq' || op === 'in') return values.some(equals);
+    if (op === 'ne') {
+        if (Array.isArray(recordValue)) return !recordValue.some(item => matchesCondition(item, { op: 'eq', values }, schemaType));
+        return !values.some(equals);
+    }
+
+    if (recordValue === undefined || recordValue === null) return false;
+    const left = toComparable(recordValue, type);
+    const right = toComparable(values[0], type);
+    if (Number.isNaN(left) || Number.isNaN(right)) return false;
+    if (op === 'gt') return left > right;
+    if (op === 'gte') return left >= right;
+    if (op === 'lt') return left < right;
+    return left <= right;
+};
+
+const matchesFilters = (record, conditions, schema) =>
+    conditions.every(condition => matchesCondition(getPath(record, condition.field), condition, schemaTypeOf(schema, condition.field)));
+
+// Query-string values are strings, so untyped fields also match their numeric/boolean/null spelling
+const looseCandidates = (raw) => {
+    const candidates = [raw];
+    if (raw.trim() !== '' && !isNaN(Number(raw))) candidates.push(Number(raw));
+    if (raw === 'true' || raw === 'false') candidates.push(raw === 'true');
+    if (raw === 'null') candidates.push(null);
+    return candidates;
+};
+
+const mongoDateOf = (path) => ({ $convert: { input: `$${path}`, to: 'date', onError: null, onNull: null } });
+
+// Same semantics as matchesFilters, expressed as a MongoDB filter on row documents (`data.*`)
+const toMongoFilter = (conditions, schema) => {
+    const clauses = conditions.map(({ field, op, values, pattern }) => {
+        const path = `data.${field}`;
+        const type = schemaTypeOf(schema, field);
+
+        if (op === 'like') return { [path]: { $regex: pattern.source, $options: 'i' } };
 
-// Route to serve Admin Dashboard
-app.get('/dev-admin', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-});
+        if (type === 'Date') {
+            const date = mongoDateOf(path);
+            const dates = values.map(v => new Date(Date.parse(v)));
+            if (op === 'eq' || op === 'in') return { $expr: { $in: [date, dates] } };
+            if (op === 'ne') return { $expr: { $not: [{ $in: [date, dates] }] } };
+            return { $expr: { $and: [{ $ne: [date, null] }, { [RANGE_OPERATORS[op]]: [date, dates[0]] }] } };
+        }
 
-// Route to serve Client CRUD Example
-app.get('/crud-example', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+        const typed = (raw) => (type === 'Number' ? [Number(raw)] : type === 'Boolean' ? [raw === 'true'] : type ? [raw] : looseCandidates(raw));
+        const candidates = values.flatMap(typed);
+        if (op === 'eq' || op === 'in') return { [path]: { $in: candidates } };
+        if (op === 'ne') return { [path]: { $nin: candidates } };
 
-app.use(authenticate);
+        // MongoDB only compares values of the same type, so an untyped range is tried as number and string
+        const operator = RANGE_OPERATORS[op];
+        if (type === 'Number' || (!type && candidates.length > 1 && typeof candidates[1] === 'number')) {
+            if (type) return { [path]: { [operator]: Number(values[0]) } };
+            return { $or: [{ [path]: { [operator]: Number(values[0]) } }, { [path]: { [operator]: values[0] } }] };
+        }
+        return { [path]: { [operator]: values[0] } };
+    });
+    return clauses.length > 0 ? { $and: clauses } : null;
+};
 
 // ----------------------------------------------------
-// Data Routes (Simplified for brevity)
+// Sorting & Projection (?_sort=a,b&_order=asc,desc, ?fields=a,b)
 // ----------------------------------------------------
 
-app.get('/introspect', async (req, res) => {
-    try {
-        const payload = {
-            userId: req.userId,
-            role: req.userRole,
-            sessions: await Storage.getUserSessions(req.userId),
-            storage: {}
-        };
+const splitList = (raw) => (Array.isArray(raw) ? raw : [raw])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+/** `_sort=lastName,age&_order=asc,desc` -> [{ field: 'lastName', direction: 1 }, { field: 'age', direction: -1 }] */
+const parseSort = (sortParam, orderParam) => {
+    if (!sortParam) return [];
+    const orders = orderParam ? splitList(orderParam).map(o => o.toLowerCase()) : [];
+    const invalid = orders.find(o => o !== 'asc' && o !== 'desc');
+    if (invalid) throw new HttpError(400, `Invalid _order '${invalid}', expected 'asc' or 'desc'`);
+    return splitList(sortParam).map((field, i) => ({ field, direction: orders[i] === 'desc' ? -1 : 1 }));
+};
 
-        const containerNames = await Storage.listContainers(req.userId);
-        for (const name of containerNames) {
-            const content = await Storage.readContainer(req.userId, name);
-            payload.storage[name] = {};
-            if (content) {
-                for (const [table, records] of Object.entries(content)) {
-                    const isStructured = !Array.isArray(records);
-                    const tableRecords = isStructured ? records.records : records;
-                    payload.storage[name][table] = {
-                        count: Array.isArray(tableRecords) ? tableRecords.length : 0,
-                        schema_preview: Array.isArray(tableRecords) && tableRecords.length > 0 ? Object.keys(tableRecords[0]) : [],
-                        schema: isStructured ? records._schema : null,
-                        data: tableRecords
-                    };
-                }
-            }
+// `page` / `limit` query params; a missing or empty value falls back to the default
+const parsePositiveInt = (value, name, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new HttpError(400, `Invalid ${name} '${value}', expected an integer >= 1`);
+    return number;
+};
+
+// `id` is always kept so projected records stay addressable; `a.b` is dropped when `a` is requested
+const parseFields = (fieldsParam) => {
+    if (!fieldsParam) return null;
+    const fields = [...new Set(['id', ...splitList(fieldsParam)])];
+    return fields.filter(field => !fields.some(other => field.startsWith(`${other}.`)));
+};
+
+// Orders values like MongoDB does: missing/null, numbers, strings, objects, booleans
+const SORT_RANKS = { undefined: 0, number: 1, string: 2, object: 3, boolean: 4 };
+const sortRank = (value) => (value === null ? 0 : SORT_RANKS[typeof value] ?? 3);
+
+const sortValue = (value, type) => {
+    if (value === null || value === undefined) return null;
+    if (type === 'Number' && !Number.isNaN(Number(value))) return Number(value);
+    if (type === 'Date' && !Number.isNaN(Date.parse(value))) return Date.parse(value);
+    return value;
+};
+
+const compareValues = (a, b) => {
+    const rankA = sortRank(a);
+    const rankB = sortRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 0 || rankA === 3) return 0;
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Array.prototype.sort is stable, so ties keep insertion order
+const sortRecords = (records, sort, schema) => {
+    if (sort.length === 0) return records;
+    return [...records].sort((left, right) => {
+        for (const { field, direction } of sort) {
+            const type = schemaTypeOf(schema, field);
+            const diff = compareValues(sortValue(getPath(left, field), type), sortValue(getPath(right, field), type));
+            if (diff !== 0) return diff * direction;
         }
-        res.json(payload);
-    } catch (err) {
-        res.status(500).json({ error: 'Introspection failed' });
+        return 0;
+    });
+};
+
+const projectRecord = (record, fields) => {
+    if (!fields) return record;
+    const projected = {};
+    for (const field of fields) {
+        const value = getPath(record, field);
+        if (value === undefined) continue;
+        const keys = field.split('.');
+        let target = projected;
+        keys.slice(0, -1).forEach(key => { target = target[key] ??= {}; });
+        target[keys[keys.length - 1]] = value;
     }
-});
+    return projected;
+};
 
-app.patch('/auth/update-uuid', async (req, res) => {
-    const newUserId = uuidv4();
-    try {
-        await Storage.updateUserId(req.userId, newUserId);
+// ----------------------------------------------------
+// Cursor Pagination & Link Headers (?cursor=&limit=)
+// ----------------------------------------------------
 
-        // Issue a NEW token for the NEW identity
-        const token = jwt.sign({ userId: newUserId, role: req.userRole }, JWT_SECRET, { expiresIn: '1h' });
+// Cursors are opaque to clients: base64url JSON holding the direction (d), the sort key
+// values of the record they point at (v), its id and its position (p) or sequence (s),
+// plus the sort they were issued for (o)
+const sortSignature = (sort) => sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
 
-        // Also update the session in storage if needed (but JWT is stateless anyway)
-        await Storage.saveUserSession(newUserId, { token, expires_at: new Date(Date.now() + 3600000).toISOString(), role: req.userRole });
+const encodeCursor = (direction, key, sort) =>
+    Buffer.from(JSON.stringify({ d: direction, ...key, o: sortSignature(sort) })).toString('base64url');
 
-        res.json({
-            message: 'UUID updated successfully',
-            'x-user-id': newUserId,
-            token
-        });
-    } catch (err) {
-        res.status(500).json({ error: 'Failed to update UUID' });
+const decodeCursor = (raw, sort) => {
+    if (!raw) return { d: 'first' };
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    } catch {
+        throw new HttpError(400, 'Invalid cursor');
     }
+    const valid = cursor && ['after', 'before', 'last'].includes(cursor.d) && (cursor.d === 'last' || Array.isArray(cursor.v));
+    if (!valid) throw new HttpError(400, 'Invalid cursor');
+    if (cursor.o !== sortSignature(sort)) throw new HttpError(400, 'Cursor was issued for a different _sort/_order');
+    return cursor;
+};
+
+const cursorKey = (record, index, sort, schema) => ({
+    v: sort.map(({ field }) => sortValue(getPath(record, field), schemaTypeOf(schema, field))),
+    id: record.id ?? null,
+    p: index
 });
 
-app.delete('/auth/account', async (req, res) => {
-    try {
-        await Storage.deleteUser(req.userId);
-        res.status(204).send();
-    } catch (err) {
-        res.status(500).json({ error: 'Failed to delete account' });
+// Resolves a cursor against sorted records. The record it points at is looked up by id; if it
+// was deleted meanwhile, its sort key (and former position for ties) finds where it would be.
+const cursorWindow = (records, cursor, sort, schema, limit) => {
+    const locate = () => {
+        const exact = cursor.id === null || cursor.id === undefined ? -1 : records.findIndex(r => r.id === cursor.id);
+        if (exact !== -1) return { index: exact, found: true };
+        const next = records.findIndex((record, i) => {
+            const diff = sort.reduce((acc, { field, direction }, k) => acc || direction * compareValues(
+                sortValue(getPath(record, field), schemaTypeOf(schema, field)),
+                cursor.v[k] ?? null
+            ), 0);
+            return diff > 0 || (diff === 0 && i >= (Number(cursor.p) || 0));
+        });
+        return { index: next === -1 ? records.length : next, found: false };
+    };
+
+    if (cursor.d === 'last') return { start: Math.max(0, records.length - limit), end: records.length };
+    if (cursor.d === 'after') {
+        const { index, found } = locate();
+        const start = found ? index + 1 : index;
+        return { start, end: Math.min(records.length, start + limit) };
     }
-});
+    if (cursor.d === 'before') {
+        const { index } = locate();
+        return { start: Math.max(0, index - limit), end: index };
+    }
+    return { start: 0, end: Math.min(records.length, limit) };
+};
 
-app.get('/admin/stats', async (req, res) => {
-    // Verified via 'admin' role in derived token
-    if (req.userRole !== 'admin') {
-        return res.status(403).json({ error: 'Forbidden: Developer access only' });
+// Same request URL with some query params replaced, for Link headers
+const listUrl = (req, overrides) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...req.query, ...overrides })) {
+        if (value === undefined) continue;
+        (Array.isArray(value) ? value : [value]).forEach(v => params.append(key, v));
     }
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${params}`;
+};
 
-    try {
-        const summary = { totalUsers: 0, totalContainers: 0, totalTables: 0, totalColumns: 0 };
+// ----------------------------------------------------
+// Relations (?_expand=user, ?_embed=orders)
+// ----------------------------------------------------
 
-        if (STORE_MODE === 'mongodb') {
-            const users = await db.collection('users').find().toArray();
-            summary.totalUsers = users.length;
+// A reference field is declared as { type, ref: 'users', as?: 'user' } in the table `_schema`
+const referenceFields = (schema) => Object.entries(schema || {})
+    .filter(([, definition]) => definition && typeof definition === 'object' && typeof definition.ref === 'string');
 
-            const stats = await Promise.all(users.map(async (user) => {
-                const containers = await db.collection('containers').find({ userId: user.userId }).toArray();
-                let userTableCount = 0;
-                let userColumnCount = 0;
+// `as`, else the field name without its Id suffix (userId -> user), else the referenced table
+const relationName = (field, definition) => definition.as || field.replace(/_?[iI]d$/, '') || definition.ref;
 
-                containers.forEach(c => {
-                    const tables = Object.keys(c.data || {});
-                    userTableCount += tables.length;
-                    tables.forEach(tableName => {
-                        const tableData = c.data[tableName];
-                        if (tableData && typeof tableData === 'object' && !Array.isArray(tableData)) {
-                            // Structured format: count columns from schema
-                            if (tableData._schema) userColumnCount += Object.keys(tableData._schema).length;
-                        } else if (Array.isArray(tableData) && tableData.length > 0) {
-                            // Legacy format: count from first record
-                            userColumnCount += Object.keys(tableData[0]).length;
-                        }
-                    });
-                });
+const unknownRelation = (name, table) => new HttpError(400, `Unknown relation '${name}' on table '${table}'`);
 
-                summary.totalContainers += containers.length;
-                summary.totalTables += userTableCount;
-                summary.totalColumns += userColumnCount;
+// Parent lookup for ?_expand=name: declared references first, then the userId -> users convention
+const resolveExpand = async (userId, container, table, schema, name) => {
+    const declared = referenceFields(schema).find(([field, definition]) => relationName(field, definition) === name);
+    if (declared) return { kind: 'expand', name, field: declared[0], table: declared[1].ref };
+    if (await Storage.getTableInfo(userId, container, `${name}s`)) return { kind: 'expand', name, field: `${name}Id`, table: `${name}s` };
+    throw unknownRelation(name, table);
+};
 
-                return {
-                    userId: user.userId,
-                    name: user.name || 'Anonymous',
-                    email: user.email || 'N/A',
-                    createdAt: user.createdAt,
-                    containerCount: containers.length,
-                    tableCount: userTableCount
-                };
-            }));
+// Child lookup for ?_embed=table: a declared reference back to this table, else the users -> userId convention
+const resolveEmbed = async (userId, container, table, name) => {
+    const info = await Storage.getTableInfo(userId, container, name);
+    if (!info) throw unknownRelation(name, table);
+    const declared = referenceFields(info.props._schema).find(([, definition]) => definition.ref === table);
+    return { kind: 'embed', name, table: name, field: declared ? declared[0] : `${table.replace(/s$/, '')}Id` };
+};
 
-            // Sort by createdAt DESC
-            stats.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// Records from `table` whose `field` matches one of `values`, in a single query
+const findByField = async (userId, container, table, field, values, withDeleted = true) => {
+    const unique = [...new Set(values.filter(v => v !== null && v !== undefined).map(String))];
+    if (unique.length === 0) return [];
+    const { records } = await Storage.queryRecords(userId, container, table, { filters: [{ field, op: 'in', values: unique }], withDeleted });
+    return records;
+};
 
-            res.json({ summary, details: stats });
-        } else {
-            const userDirs = (await fs.readdir(DATA_DIR)).filter(d => {
-                try { return fsExtra.statSync(path.join(DATA_DIR, d)).isDirectory(); } catch { return false; }
-            });
-            summary.totalUsers = userDirs.length;
+/** Inlines parents (?_expand=) and children (?_embed=) into already loaded records of req.params.table */
+const includeRelations = async (req, records, fields = null) => {
+    const expand = req.query._expand ? splitList(req.query._expand) : [];
+    const embed = req.query._embed ? splitList(req.query._embed) : [];
+    if (expand.length === 0 && embed.length === 0) return records;
 
-            const stats = await Promise.all(userDirs.map(async (userId) => {
-                const userPath = path.join(DATA_DIR, userId);
-                const files = await fs.readdir(userPath);
-                const containers = files.filter(f => f.endsWith('.json') && f !== 'sessions.json' && f !== 'profile.json');
+    const { container, table } = req.params;
+    const info = await Storage.getTableInfo(req.userId, container, table);
+    const relations = [
+        ...await Promise.all(expand.map(name => resolveExpand(req.userId, container, table, info && info.props._schema, name))),
+        ...await Promise.all(embed.map(name => resolveEmbed(req.userId, container, table, name)))
+    ];
 
-                let userTableCount = 0;
-                let userColumnCount = 0;
-                let profile = {};
-                try { profile = JSON.parse(await fs.readFile(path.join(userPath, 'profile.json'), 'utf8')); } catch { }
+    if (req.userRole !== 'admin') {
+        const data = await Storage.readContainer(req.userId, container);
+        const denied = relations.find(relation => !canAccessTable(req.userRole, data && data._permissions, relation.table, 'read'));
+        if (denied) throw new HttpError(403, `Forbidden: role '${req.userRole}' cannot read table '${denied.table}'`);
+    }
 
-                await Promise.all(containers.map(async (cFile) => {
-                    try {
-                        const content = JSON.parse(await fs.readFile(path.join(userPath, cFile), 'utf8'));
-                        const tables = Object.keys(content);
-                        userTableCount += tables.length;
-                        tables.forEach(tableName => {
-                            const tableData = content[tableName];
-                            if (tableData && typeof tableData === 'object' && !Array.isArray(tableData)) {
-                                if (tableData._schema) userColumnCount += Object.keys(tableData._schema).length;
-                            } else if (Array.isArray(tableData) && tableData.length > 0) {
-                                userColumnCount += Object.keys(tableData[0]).length;
-                            }
-                        });
-                    } catch { }
-                }));
+    const result = records.map(record => ({ ...record }));
+    for (const relation of relations) {
+        if (relation.kind === 'expand') {
+            const parents = await findByField(req.userId, container, relation.table, 'id', result.map(r => getPath(r, relation.field)), wantsDeleted(req));
+            const byId = new Map(parents.map(parent => [String(parent.id), parent]));
+            result.forEach(record => {
+                const key = getPath(record, relation.field);
+                record[relation.name] = key === null || key === undefined ? null : byId.get(String(key)) ?? null;
+            });
+        } else {
+            const children = await findByField(req.userId, container, relation.table, relation.field, result.map(r => r.id), wantsDeleted(req));
+            const byParent = new Map();
+            children.forEach(child => {
+                const key = String(getPath(child, relation.field));
+                byParent.set(key, [...(byParent.get(key) || []), child]);
+            });
+            result.forEach(record => { record[relation.name] = byParent.get(String(record.id)) || []; });
+        }
+    }
+    if (!fields) return result;
 
-                const stat = await fs.stat(userPath);
+    // `fields` waits until the reference columns were read; relations are kept unless the
+    // projection already picks fields inside them (`customer.name`)
+    const kept = relations.map(relation => relation.name).filter(name => !fields.some(field => field === name || field.startsWith(`${name}.`)));
+    return result.map(record => projectRecord(record, [...fields, ...kept]));
+};
 
-                summary.totalContainers += containers.length;
-                summary.totalTables += userTableCount;
-                summary.totalColumns += userColumnCount;
+// ----------------------------------------------------
+// Foreign Keys (`ref` columns with `onDelete`)
+// ----------------------------------------------------
 
-                return {
-                    userId,
-                    name: profile.name || profile.userId || 'Anonymous',
-                    email: profile.email || 'N/A',
-                    createdAt: profile.createdAt || stat.birthtime,
-                    containerCount: containers.length,
-                    tableCount: userTableCount
-                };
-            }));
+// A declared `ref` column holds the id (or an array of ids) of a record in another table of the
+// same container. Writes must point at existing records; `onDelete` (default 'restrict') decides
+// what happens to referencing records when their parent goes away.
+const ON_DELETE_RULES = ['restrict', 'cascade', 'set null'];
+
+// 409 listing every reference in `payload` (only the fields it carries) that has no target
+const assertReferences = async (userId, container, schema, payload) => {
+    const violations = [];
+    for (const [field, definition] of referenceFields(schema)) {
+        const value = payload[field];
+        if (value === undefined || value === null) continue;
+        const ids = Array.isArray(value) ? value : [value];
+        // One lookup per column; a missing table means every id is dangling
+        const found = await findByField(userId, container, definition.ref, 'id', ids).catch((err) => {
+            if (err.status !== 404) throw err;
+            return [];
+        });
+        const existing = new Set(found.map(record => String(record.id)));
+        for (const id of ids.filter(id => !existing.has(String(id)))) {
+            violations.push({ field, table: definition.ref, value: id, message: `Field '${field}' references missing ${definition.ref} '${id}'` });
+        }
+    }
+    if (violations.length > 0) {
+        throw new HttpError(409, `Foreign key violation: ${violations.map(v => v.message).join('; ')}`, { violations });
+    }
+};
 
-            // Sort by createdAt DESC
-            stats.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// Every { table, field, onDelete } of the container that references `table`
+const referencesTo = (tables, table) => tables.flatMap(({ table: child, props }) => referenceFields(props._schema)
+    .filter(([, definition]) => definition.ref === table)
+    .map(([field, definition]) => ({ table: child, field, onDelete: definition.onDelete || 'restrict' })));
+
+/**
+ * Works out what deleting `ids` from `table` does to referencing records, following cascades.
+ * `plan.deletes` (table -> Map of id key -> id) is pre-seeded with the records going away; the
+ * referencing records to null out are collected in `plan.nulls`. Throws 409 on a restrict;
+ * soft-deleted children do not restrict, but are cascaded and nulled like live ones.
+ */
+const planDelete = async (userId, container, tables, table, ids, plan) => {
+    for (const reference of referencesTo(tables, table)) {
+        const planned = plan.deletes.get(reference.table) || new Map();
+        const withDeleted = reference.onDelete !== 'restrict';
+        const children = (await findByField(userId, container, reference.table, reference.field, ids, withDeleted))
+            .filter(child => !planned.has(String(child.id)));
+        if (children.length === 0) continue;
+
+        if (reference.onDelete === 'restrict') {
+            throw new HttpError(409, `Cannot delete from '${table}': still referenced by ${reference.table}.${reference.field}`, {
+                table: reference.table,
+                field: reference.field,
+                references: children.map(child => child.id)
+            });
+        }
+        if (reference.onDelete === 'set null') {
+            children.forEach(child => plan.nulls.push({ table: reference.table, id: child.id, field: reference.field, ids }));
+            continue;
+        }
+        children.forEach(child => planned.set(String(child.id), child.id));
+        plan.deletes.set(reference.table, planned);
+        await planDelete(userId, container, tables, reference.table, children.map(child => child.id), plan);
+    }
+    return plan;
+};
 
-            res.json({ summary, details: stats });
+// Removes deleted ids from a reference field (a scalar becomes null, arrays lose the entries)
+const withoutReferences = (record, field, ids) => {
+    const gone = new Set(ids.map(String));
+    const value = record[field];
+    return { ...record, [field]: Array.isArray(value) ? value.filter(id => !gone.has(String(id))) : null };
+};
+
+/**
+ * Applies a plan from planDelete as a single container write, so a failure leaves every table as
+ * it was (Mongo writes the container in one transaction). `dropTable` is removed as a whole in the
+ * same write. Change events are published once the write succeeded.
+ */
+const applyDeletePlan = async (userId, container, plan, dropTable = null) => {
+    const data = await Storage.readContainer(userId, container);
+    const changes = new Map(); // `${table}/${id}` -> { table, previous, next }
+
+    for (const { table, id, field, ids } of plan.nulls) {
+        if (table === dropTable || (plan.deletes.get(table) || new Map()).has(String(id))) continue;
+        const records = getTableRecords(data[table]);
+        const position = records.findIndex(record => String(record.id) === String(id));
+        if (position === -1) continue;
+        const key = `${table}/${id}`;
+        const previous = changes.has(key) ? changes.get(key).previous : records[position];
+        records[position] = withoutReferences(records[position], field, ids);
+        changes.set(key, { table, previous, next: records[position] });
+    }
+    for (const [table, ids] of plan.deletes) {
+        if (table === dropTable) continue;
+        const kept = [];
+        for (const record of getTableRecords(data[table])) {
+            if (ids.has(String(record.id))) changes.set(`${table}/${record.id}`, { table, previous: record });
+            else kept.push(record);
         }
-    } catch (err) {
-        res.status(500).json({ error: 'Failed to fetch admin stats' });
+        if (Array.isArray(data[table])) data[table] = kept; else data[table].records = kept;
+    }
+    if (dropTable) delete data[dropTable];
+
+    await Storage.writeContainer(userId, container, data);
+    for (const { table, previous, next } of changes.values()) {
+        ChangeFeed.recordWritten(userId, container, table, { previous, next }, Array.isArray(data[table]) ? {} : data[table]);
     }
+};
+
+// Cascades reach other tables, so non-admin roles need write access to every table of the plan
+const assertCanWritePlan = async (req, container, plan) => {
+    if (req.userRole === 'admin') return;
+    const data = await Storage.readContainer(req.userId, container);
+    const tables = new Set([...plan.deletes.keys(), ...plan.nulls.map(entry => entry.table)]);
+    const denied = [...tables].find(table => !canAccessTable(req.userRole, data && data._permissions, table, 'write'));
+    if (denied) throw new HttpError(403, `Forbidden: role '${req.userRole}' cannot write table '${denied}'`);
+};
+
+// Seeds a plan with the records being deleted and follows their references
+const deletePlanFor = (userId, container, tables, table, ids) => planDelete(userId, container, tables, table, ids, {
+    deletes: new Map([[table, new Map(ids.map(id => [String(id), id]))]]),
+    nulls: []
 });
 
-app.delete('/admin/users/:id', async (req, res) => {
-    // Verified via 'admin' role in derived token
-    if (req.userRole !== 'admin') {
-        return res.status(403).json({ error: 'Forbidden' });
+app.get('/:container/:table', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const { page, limit, cursor, fields, q, _sort, _order, ...query } = req.query;
+    const filters = await requestFilters(req, query);
+    const projection = parseFields(fields);
+    // Relations need the reference columns, so with _expand/_embed includeRelations projects instead
+    const relations = Boolean(req.query._expand || req.query._embed);
+    const options = { filters, search: q ? String(q) : null, sort: parseSort(_sort, _order), fields: relations ? null : projection, withDeleted: wantsDeleted(req) };
+
+    if (cursor !== undefined) {
+        const limitNum = parsePositiveInt(limit, 'limit', 10);
+        const result = await Storage.queryRecords(req.userId, container, table, {
+            ...options,
+            cursor: decodeCursor(cursor, options.sort),
+            limit: limitNum
+        });
+
+        const links = { first: listUrl(req, { cursor: '', limit: limitNum }) };
+        if (result.hasPrev && result.edges) links.prev = listUrl(req, { cursor: encodeCursor('before', result.edges.first, options.sort), limit: limitNum });
+        if (result.hasNext && result.edges) links.next = listUrl(req, { cursor: encodeCursor('after', result.edges.last, options.sort), limit: limitNum });
+        links.last = listUrl(req, { cursor: encodeCursor('last', {}, options.sort), limit: limitNum });
+
+        res.set('X-Total-Count', String(result.total));
+        res.links(links);
+        return res.json(await includeRelations(req, result.records, projection));
     }
-    await Storage.deleteUser(req.params.id);
-    res.status(204).send();
+
+    if (page || limit) {
+        const pageNum = parsePositiveInt(page, 'page', 1);
+        const limitNum = parsePositiveInt(limit, 'limit', 10);
+        const { total, records } = await Storage.queryRecords(req.userId, container, table, {
+            ...options,
+            offset: (pageNum - 1) * limitNum,
+            limit: limitNum
+        });
+
+        const lastPage = Math.max(1, Math.ceil(total / limitNum));
+        const links = { first: listUrl(req, { page: 1, limit: limitNum }) };
+        if (pageNum > 1) links.prev = listUrl(req, { page: Math.min(pageNum - 1, lastPage), limit: limitNum });
+        if (pageNum < lastPage) links.next = listUrl(req, { page: pageNum + 1, limit: limitNum });
+        links.last = listUrl(req, { page: lastPage, limit: limitNum });
+
+        res.set('X-Total-Count', String(total));
+        res.links(links);
+        return res.json({
+            page: pageNum,
+            limit: limitNum,
+            total,
+            data: await includeRelations(req, records, projection)
+        });
+    }
+
+    const { total, records } = await Storage.queryRecords(req.userId, container, table, options);
+    res.set('X-Total-Count', String(total));
+    res.json(await includeRelations(req, records, projection));
 });
 
-app.post('/admin/users/bulk-delete', async (req, res) => {
-    if (req.userRole !== 'admin') {
-        return res.status(403).json({ error: 'Forbidden' });
+// ----------------------------------------------------
+// Aggregation (GET /:container/:table/_aggregate)
+// ----------------------------------------------------
+
+const AGGREGATE_OPERATORS = ['sum', 'avg', 'min', 'max'];
+const AGGREGATE_PARAMS = ['count', 'groupBy', ...AGGREGATE_OPERATORS];
+
+/** `?sum=total&avg=total,qty&groupBy=status` -> { groupBy: ['status'], sum: ['total'], avg: ['total', 'qty'], min: [], max: [] } */
+const parseAggregateSpec = (query) => {
+    const spec = { groupBy: query.groupBy ? splitList(query.groupBy) : [] };
+    for (const op of AGGREGATE_OPERATORS) spec[op] = query[op] ? splitList(query[op]) : [];
+    return spec;
+};
+
+// sum/avg only make sense on numbers; a schema that types the field otherwise is a client error
+const assertAggregatable = (spec, schema) => {
+    for (const op of ['sum', 'avg']) {
+        for (const field of spec[op]) {
+            const type = schemaTypeOf(schema, field);
+            if (type && type !== 'Number') {
+                throw new HttpError(400, `Cannot ${op} field '${field}' of type ${type}`, { field, type });
+            }
+        }
     }
-    const { userIds } = req.body;
-    if (!Array.isArray(userIds)) return res.status(400).json({ error: 'userIds array required' });
+};
 
-    try {
-        await Promise.all(userIds.map(id => Storage.deleteUser(id)));
-        res.status(200).json({ message: `Successfully removed ${userIds.length} users` });
-    } catch (err) {
-        res.status(500).json({ error: 'Bulk deletion failed' });
+// Number-typed fields accept numeric strings; untyped fields only count actual numbers
+const numericValue = (value, type) => {
+    if (type === 'Number' && value !== null && value !== '' && Number.isFinite(Number(value))) return Number(value);
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+const sortGroups = (groups, groupBy) => groups.sort((a, b) => {
+    for (const field of groupBy) {
+        const diff = compareValues(a.key[field], b.key[field]);
+        if (diff !== 0) return diff;
     }
+    return 0;
 });
 
-app.get('/containers', async (req, res) => {
-    try {
-        const containers = await Storage.listContainers(req.userId);
-        res.json({ containers });
-    } catch (err) {
-        res.status(500).json({ error: 'Error reading containers' });
+const aggregateInMemory = (records, spec, schema) => {
+    const buckets = new Map();
+    for (const record of records) {
+        const key = Object.fromEntries(spec.groupBy.map(field => [field, getPath(record, field) ?? null]));
+        const id = JSON.stringify(key);
+        if (!buckets.has(id)) buckets.set(id, { key, records: [] });
+        buckets.get(id).records.push(record);
+    }
+    // Without groupBy there is always exactly one (possibly empty) group
+    if (spec.groupBy.length === 0 && buckets.size === 0) buckets.set('{}', { key: {}, records: [] });
+
+    const groups = [...buckets.values()].map(({ key, records: members }) => {
+        const result = { key, count: members.length, sum: {}, avg: {}, min: {}, max: {} };
+        for (const field of [...new Set([...spec.sum, ...spec.avg])]) {
+            const numbers = members.map(r => numericValue(getPath(r, field), schemaTypeOf(schema, field))).filter(n => n !== null);
+            const total = numbers.reduce((acc, n) => acc + n, 0);
+            if (spec.sum.includes(field)) result.sum[field] = total;
+            if (spec.avg.includes(field)) result.avg[field] = numbers.length > 0 ? total / numbers.length : null;
+        }
+        for (const field of [...new Set([...spec.min, ...spec.max])]) {
+            const type = schemaTypeOf(schema, field);
+            const values = members
+                .map(r => sortValue(getPath(r, field), type))
+                .filter(v => v !== null && v !== undefined && !(type === 'Date' && typeof v !== 'number'))
+                .sort(compareValues);
+            const edge = (v) => (v === undefined ? null : type === 'Date' ? new Date(v).toISOString() : v);
+            if (spec.min.includes(field)) result.min[field] = edge(values[0]);
+            if (spec.max.includes(field)) result.max[field] = edge(values[values.length - 1]);
+        }
+        return result;
+    });
+    return sortGroups(groups, spec.groupBy);
+};
+
+// Only the requested metrics are returned; `count` is always included
+const formatGroup = (group, spec) => {
+    const result = { count: group.count };
+    for (const op of AGGREGATE_OPERATORS) {
+        if (spec[op].length > 0) result[op] = group[op];
     }
-});
+    return spec.groupBy.length > 0 ? { key: group.key, ...result } : result;
+};
 
-app.delete('/containers/:name', async (req, res) => {
-    try {
-        await Storage.deleteContainer(req.userId, req.params.name);
-        res.status(204).send();
-    } catch (err) {
-        res.status(404).json({ error: 'Container not found' });
+app.get('/:container/:table/_aggregate', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const spec = parseAggregateSpec(req.query);
+    const filterQuery = Object.fromEntries(Object.entries(req.query).filter(([key]) => !AGGREGATE_PARAMS.includes(key)));
+    const groups = await Storage.aggregateRecords(req.userId, container, table, { filters: await requestFilters(req, filterQuery), spec, withDeleted: wantsDeleted(req) });
+
+    if (spec.groupBy.length === 0) {
+        const [overall] = groups.length > 0 ? groups : aggregateInMemory([], spec, null);
+        return res.json(formatGroup(overall, spec));
     }
+    res.json({ groupBy: spec.groupBy, groups: groups.map(group => formatGroup(group, spec)) });
 });
 
 // ----------------------------------------------------
-// Table Ops
+// JSON Query (POST /:container/:table/_query)
 // ----------------------------------------------------
 
-app.delete('/:container/:table', async (req, res) => {
-    const { container, table } = req.params;
-    const data = await Storage.readContainer(req.userId, container);
-
-    if (!data || !data[table]) return res.status(404).json({ error: `Table '${table}' not found` });
+// MongoDB query language subset; anything else (notably $where/$expr) is rejected
+const QUERY_LOGICAL_OPERATORS = ['$and', '$or', '$nor', '$not'];
+const QUERY_FIELD_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$regex', '$options', '$exists', '$not', '$elemMatch', '$size'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'));
+
+const invalidQuery = (message, path) => new HttpError(400, `Invalid query: ${message}`, { path });
+
+// Throws a 400 naming the offending path instead of letting a bad document reach the database
+const validateQuery = (filter, path = 'filter') => {
+    if (!isPlainObject(filter)) throw invalidQuery('expected an object', path);
+    for (const [key, condition] of Object.entries(filter)) {
+        const at = `${path}.${key}`;
+        if (['$and', '$or', '$nor'].includes(key)) {
+            if (!Array.isArray(condition) || condition.length === 0) throw invalidQuery(`${key} expects a non-empty array`, at);
+            condition.forEach((sub, i) => validateQuery(sub, `${at}[${i}]`));
+        } else if (key === '$not') {
+            validateQuery(condition, at);
+        } else if (key.startsWith('$')) {
+            throw invalidQuery(`unsupported operator '${key}'`, at);
+        } else if (isOperatorObject(condition)) {
+            validateFieldCondition(condition, at);
+        }
+    }
+};
 
-    delete data[table];
-    await Storage.writeContainer(req.userId, container, data);
-    res.status(204).send();
-});
+// `$regex` is compiled once while validating; matchesFieldCondition looks it up per condition
+const compiledRegexes = new WeakMap();
+
+const validateFieldCondition = (condition, path) => {
+    for (const [op, arg] of Object.entries(condition)) {
+        const at = `${path}.${op}`;
+        if (!QUERY_FIELD_OPERATORS.includes(op)) throw invalidQuery(`unsupported operator '${op}'`, at);
+        if ((op === '$in' || op === '$nin') && !Array.isArray(arg)) throw invalidQuery(`${op} expects an array`, at);
+        if (op === '$size' && !Number.isInteger(arg)) throw invalidQuery('$size expects an integer', at);
+        if (op === '$options' && (typeof arg !== 'string' || !/^[ims]*$/.test(arg))) throw invalidQuery('$options accepts only i, m and s', at);
+        if (op === '$regex') {
+            if (typeof arg !== 'string') throw invalidQuery('$regex expects a string', at);
+            const unsafe = unsafeRegexReason(arg);
+            if (unsafe) throw invalidQuery(`$regex ${unsafe}`, at);
+        }
+        if (op === '$not') {
+            if (!isOperatorObject(arg)) throw invalidQuery('$not expects an operator object', at);
+            validateFieldCondition(arg, at);
+        }
+        if (op === '$elemMatch') {
+            if (!isPlainObject(arg)) throw invalidQuery('$elemMatch expects an object', at);
+            if (isOperatorObject(arg)) validateFieldCondition(arg, at);
+            else validateQuery(arg, at);
+        }
+    }
+    if (typeof condition.$regex === 'string') {
+        try {
+            compiledRegexes.set(condition, new RegExp(condition.$regex, condition.$options || ''));
+        } catch {
+            throw invalidQuery(`invalid regular expression '${condition.$regex}'`, `${path}.$regex`);
+        }
+    }
+};
 
-app.patch('/:container/:table/rename', async (req, res) => {
-    const { container, table } = req.params;
-    const { newName } = req.body;
+// Like getPath, but a path through an array collects the values of every element (items.sku)
+const queryPath = (record, field) => field.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        const collected = value.flatMap(item => (isPlainObject(item) && item[key] !== undefined ? [item[key]] : []));
+        return collected.length > 0 ? collected : undefined;
+    }
+    return value[key];
+}, record);
 
-    if (!newName) return res.status(400).json({ error: 'Bad Request: newName required' });
+// MongoDB semantics: arrays match when the array itself or any element matches, and
+// comparisons only apply between values of the same type
+const anyValue = (value, test) => test(value) || (Array.isArray(value) && value.some(test));
 
-    const data = await Storage.readContainer(req.userId, container);
+const queryEquals = (value, expected) => {
+    if (expected === null) return value === null || value === undefined;
+    if (typeof expected === 'object') return JSON.stringify(value) === JSON.stringify(expected);
+    return value === expected;
+};
 
-    if (!data || !data[table]) return res.status(404).json({ error: `Table '${table}' not found` });
-    if (data[newName]) return res.status(400).json({ error: `Table '${newName}' already exists` });
+const queryCompare = (value, expected, op) => {
+    if (value === null || value === undefined || typeof value !== typeof expected || !['number', 'string'].includes(typeof value)) return false;
+    if (op === '$gt') return value > expected;
+    if (op === '$gte') return value >= expected;
+    if (op === '$lt') return value < expected;
+    return value <= expected;
+};
 
-    data[newName] = data[table];
-    delete data[table];
-    await Storage.writeContainer(req.userId, container, data);
+const matchesFieldCondition = (value, condition) => {
+    if (!isOperatorObject(condition)) return anyValue(value, v => queryEquals(v, condition));
+
+    return Object.entries(condition).every(([op, arg]) => {
+        switch (op) {
+            case '$eq': return anyValue(value, v => queryEquals(v, arg));
+            case '$ne': return !anyValue(value, v => queryEquals(v, arg));
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte': return anyValue(value, v => queryCompare(v, arg, op));
+            case '$in': return arg.some(expected => anyValue(value, v => queryEquals(v, expected)));
+            case '$nin': return !arg.some(expected => anyValue(value, v => queryEquals(v, expected)));
+            case '$regex': {
+                const pattern = compiledRegexes.get(condition);
+                return anyValue(value, v => typeof v === 'string' && pattern.test(v));
+            }
+            case '$options': return true;
+            case '$exists': return (value !== undefined) === Boolean(arg);
+            case '$not': return !matchesFieldCondition(value, arg);
+            case '$size': return Array.isArray(value) && value.length === arg;
+            case '$elemMatch': return Array.isArray(value) && value.some(item => (isOperatorObject(arg)
+                ? matchesFieldCondition(item, arg)
+                : isPlainObject(item) && matchesQuery(item, arg)));
+            default: return false;
+        }
+    });
+};
 
-    res.json({ message: `Table renamed to '${newName}'` });
+const matchesQuery = (record, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesQuery(record, sub));
+    if (key === '$or') return condition.some(sub => matchesQuery(record, sub));
+    if (key === '$nor') return !condition.some(sub => matchesQuery(record, sub));
+    if (key === '$not') return !matchesQuery(record, condition);
+    return matchesFieldCondition(queryPath(record, key), condition);
 });
 
-app.patch('/:container/:table/schema', async (req, res) => {
-    const { container, table } = req.params;
-    const { remove, rename, set } = req.body;
+// Prefixes field paths with `data.` for row documents; a top-level $not becomes $nor
+const toMongoQuery = (filter) => {
+    const clauses = Object.entries(filter).map(([key, condition]) => {
+        if (['$and', '$or', '$nor'].includes(key)) return { [key]: condition.map(toMongoQuery) };
+        if (key === '$not') return { $nor: [toMongoQuery(condition)] };
+        return { [`data.${key}`]: condition };
+    });
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+};
 
-    const data = await Storage.readContainer(req.userId, container);
+// { age: -1, name: 1 } -> parseSort format
+const parseQuerySort = (sort) => {
+    if (sort === undefined || sort === null) return [];
+    if (!isPlainObject(sort)) throw invalidQuery('sort expects an object of field: 1 | -1', 'sort');
+    return Object.entries(sort).map(([field, direction]) => {
+        if (direction !== 1 && direction !== -1) throw invalidQuery(`sort direction for '${field}' must be 1 or -1`, `sort.${field}`);
+        return { field, direction };
+    });
+};
 
-    if (!data || !data[table]) {
-        return res.status(400).json({ error: `Table '${table}' is invalid or not found` });
+// Inclusion projection { name: 1 } or a list of fields -> parseFields format
+const parseQueryProjection = (projection) => {
+    if (projection === undefined || projection === null) return null;
+    if (Array.isArray(projection)) return parseFields(projection.join(','));
+    if (!isPlainObject(projection)) throw invalidQuery('projection expects an object or an array of fields', 'projection');
+    if (Object.values(projection).some(v => v !== 1 && v !== true)) {
+        throw invalidQuery('only inclusion projections ({ field: 1 }) are supported', 'projection');
     }
+    return parseFields(Object.keys(projection).join(','));
+};
 
-    const isStructured = !Array.isArray(data[table]);
-    const records = isStructured ? data[table].records : data[table];
+const parseCount = (value, name, fallback, min) => {
+    if (value === undefined || value === null) return fallback;
+    if (!Number.isInteger(value) || value < min) throw invalidQuery(`${name} expects an integer >= ${min}`, name);
+    return value;
+};
 
-    if (!Array.isArray(records)) {
-        return res.status(400).json({ error: `Table '${table}' is invalid or not found` });
+app.post('/:container/:table/_query', requireTableAccess('read'), async (req, res) => {
+    const { container, table } = req.params;
+    const { filter = {}, sort, skip, limit, projection } = req.body || {};
+    validateQuery(filter);
+
+    const offset = parseCount(skip, 'skip', 0, 0);
+    const limitNum = parseCount(limit, 'limit', null, 1);
+    const { total, records } = await Storage.queryRecords(req.userId, container, table, {
+        query: filter,
+        sort: parseQuerySort(sort),
+        fields: parseQueryProjection(projection),
+        offset,
+        limit: limitNum,
+        withDeleted: wantsDeleted(req)
+    });
+    res.set('X-Total-Count', String(total));
+    res.json({ total, skip: offset, limit: limitNum, data: records });
+});
+
+app.get('/:container/:table/:id', requireTableAccess('read'), async (req, res) => {
+    const { container, table, id } = req.params;
+    const record = await Storage.getRecord(req.userId, container, table, id);
+    if (isDeleted(record) && !wantsDeleted(req)) {
+        const info = await Storage.getTableInfo(req.userId, container, table);
+        assertNotDeleted(record, info.props);
     }
+    const [withRelations] = await includeRelations(req, [record]);
+    res.json(withRelations);
+});
 
-    const updatedRecords = records.map(record => {
-        if (rename) Object.entries(rename).forEach(([o, n]) => { if (record[o] !== undefined) { record[n] = record[o]; delete record[o]; } });
-        if (remove) remove.forEach(k => delete record[k]);
-        if (set) Object.entries(set).forEach(([k, v]) => { record[k] = v; });
-        return record;
+// Record writes shared by the REST routes and the GraphQL mutations; callers hold the container lock
+const createRecord = async (req, container, table, body, info = null) => {
+    info = info || await Storage.getTableInfo(req.userId, container, table) || await Storage.createTable(req.userId, container, table);
+
+    delete body._schema;
+    stripManagedFields(body, info.props);
+
+    const schema = info.props._schema;
+    if (schema) {
+        applyDefaults(body, schema);
+        assertValid(body, schema, { strict: info.props._strict });
+        await assertReferences(req.userId, container, schema, body);
+    }
+
+    const newRecord = stampRecord({ id: newRecordId(body, info.props), ...body }, info.props);
+    await Storage.insertRecord(req.userId, container, table, newRecord);
+    return newRecord;
+};
+
+// PUT replaces the record; `partial` (PATCH) merges the body and only validates the fields it sends
+const updateRecord = (req, container, table, id, body, { partial = false } = {}) =>
+    Storage.mutateRecord(req.userId, container, table, id, async (current, props) => {
+        assertNotDeleted(current, props);
+        stripManagedFields(body, props);
+        if (props._schema) {
+            delete body._schema;
+            if (!partial) applyDefaults(body, props._schema);
+            assertValid(body, props._schema, { partial, strict: props._strict });
+            await assertReferences(req.userId, container, props._schema, body);
+        }
+        const record = partial ? { ...current, ...body, id: current.id } : { id: current.id, ...body }; // Ensure ID is preserved
+        return stampRecord(retainPrimaryKey(current, record, props), props, current);
     });
 
-    if (isStructured) {
-        data[table].records = updatedRecords;
-    } else {
-        data[table] = updatedRecords;
+const removeRecord = async (req, container, table, id) => {
+    const tables = await Storage.listTables(req.userId, container);
+    const info = tables.find(entry => entry.table === table);
+
+    // Soft delete only marks the record; foreign key rules apply when it is purged
+    if (info && tableOptionsOf(info.props).softDelete) {
+        await Storage.mutateRecord(req.userId, container, table, id, (current) => {
+            if (isDeleted(current)) throw new HttpError(404, 'Record not found');
+            return { ...current, deletedAt: new Date().toISOString() };
+        });
+        return;
     }
 
-    await Storage.writeContainer(req.userId, container, data);
-    res.json({ message: `Schema bulk update applied`, count: updatedRecords.length });
-});
+    if (referencesTo(tables, table).length === 0) {
+        await Storage.deleteRecord(req.userId, container, table, id);
+        return;
+    }
 
-app.patch('/:container/:table/schema-definition', async (req, res) => {
+    // Referenced table: apply the onDelete rules of every foreign key pointing here
+    const record = await Storage.getRecord(req.userId, container, table, id);
+    const plan = await deletePlanFor(req.userId, container, tables, table, [record.id]);
+    await assertCanWritePlan(req, container, plan);
+    await applyDeletePlan(req.userId, container, plan);
+};
+
+app.post('/:container/:table', requireTableAccess('write'), lockContainer, async (req, res) => {
     const { container, table } = req.params;
-    const { name, type, remove } = req.body;
+    if (isReservedTable(table)) return res.status(400).json({ error: `Table name '${table}' is reserved` });
 
-    const data = await Storage.readContainer(req.userId, container);
-    if (!data || !data[table]) return res.status(404).json({ error: `Table '${table}' not found` });
+    let info = await Storage.getTableInfo(req.userId, container, table);
 
-    if (!Array.isArray(data[table])) {
-        data[table]._schema = data[table]._schema || {};
-        if (remove) {
-            delete data[table]._schema[remove];
-        } else if (name && type) {
-            data[table]._schema[name] = type;
-        }
-    } else {
-        // Convert to structured if needed? or just fail for now
-        if (name && type) {
-            data[table] = {
-                _schema: { [name]: type },
-                records: data[table]
-            };
+    if (!info && req.body._schema) {
+        assertValidSchemaDefinition(req.body._schema);
+        info = await Storage.createTable(req.userId, container, table, { _schema: req.body._schema });
+        publishTableChange(req, 'schema', { created: true });
+        delete req.body._schema;
+        if (Object.keys(req.body).length === 0) {
+            return res.status(201).json({ message: 'Table initialized with schema' });
         }
     }
 
-    await Storage.writeContainer(req.userId, container, data);
-    res.json({ message: 'Schema definition updated successfully', schema: data[table]._schema || {} });
+    res.status(201).json(await createRecord(req, container, table, req.body, info));
+});
+
+app.put('/:container/:table/:id', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table, id } = req.params;
+    res.json(await updateRecord(req, container, table, id, req.body));
+});
+
+app.delete('/:container/:table/:id', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table, id } = req.params;
+    await removeRecord(req, container, table, id);
+    res.status(204).send();
+});
+
+app.patch('/:container/:table/:id', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table, id } = req.params;
+    res.json(await updateRecord(req, container, table, id, req.body, { partial: true }));
+});
+
+app.post('/:container/:table/:id/_restore', requireTableAccess('write'), lockContainer, async (req, res) => {
+    const { container, table, id } = req.params;
+
+    const record = await Storage.mutateRecord(req.userId, container, table, id, (current, props) => {
+        if (!tableOptionsOf(props).softDelete) throw new HttpError(400, `Soft delete is not enabled on table '${table}'`);
+        if (!isDeleted(current)) throw new HttpError(409, 'Record is not deleted');
+        const { deletedAt, ...restored } = current;
+        return stampRecord(restored, props, current);
+    });
+
+    res.json(record);
 });
 
 // ----------------------------------------------------
-// Data Ops (Full CRUD on /:container/:table & ID)
+// GraphQL (/graphql)
 // ----------------------------------------------------
 
-const getTableRecords = (tableData) => {
-    if (!tableData) return null;
-    return Array.isArray(tableData) ? tableData : tableData.records;
-};
+// The schema is generated from the tenant's containers and table `_schema`s and cached until
+// Storage reports a table change (GraphQLSchemas). Resolvers share the REST code paths:
+// validation, foreign keys, timestamps, soft delete, table permissions and the container write lock.
+
+// Tenant schemas kept in memory; the least recently used are dropped beyond this
+const GRAPHQL_SCHEMA_LIMIT = 100;
+// Relation fields make record types cyclic, so selections nested deeper than this are rejected
+const GRAPHQL_MAX_DEPTH = 10;
+
+// Filters, sort documents, mutation data and Array/Object columns
+const GraphQLJSON = new GraphQLScalarType({
+    name: 'JSON',
+    description: 'Any JSON value',
+    serialize: value => value,
+    parseValue: value => value,
+    parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
 
-const validateAgainstSchema = (payload, schema) => {
-    if (!schema || Object.keys(schema).length === 0) return null;
+const TableInfoType = new GraphQLObjectType({
+    name: 'TableInfo',
+    fields: {
+        container: { type: new GraphQLNonNull(GraphQLString) },
+        table: { type: new GraphQLNonNull(GraphQLString) },
+        field: { type: new GraphQLNonNull(GraphQLString), description: 'Query field of the table' }
+    }
+});
 
-    for (const [key, type] of Object.entries(schema)) {
-        const val = payload[key];
-        if (val === undefined || val === null) continue;
+const GRAPHQL_NAME = /^(?!__)[_a-zA-Z][_a-zA-Z0-9]*$/;
 
-        if (type === 'String' && typeof val !== 'string') return `Field '${key}' expects String`;
-        if (type === 'Number' && typeof val !== 'number') return `Field '${key}' expects Number`;
-        if (type === 'Boolean' && typeof val !== 'boolean') return `Field '${key}' expects Boolean`;
-        if (type === 'Date' && isNaN(Date.parse(val))) return `Field '${key}' expects a valid ISO Date string`;
-    }
-    return null;
+// Column type -> GraphQL type; Date and the string formats are Strings, unknown types are JSON
+const GRAPHQL_TYPES = { Number: GraphQLFloat, Integer: GraphQLInt, Boolean: GraphQLBoolean, Array: GraphQLJSON, Object: GraphQLJSON };
+const graphqlTypeOf = (definition) => {
+    const { type } = columnOf(definition);
+    if (GRAPHQL_TYPES[type]) return GRAPHQL_TYPES[type];
+    return [...STRING_TYPES, 'Date'].includes(type) ? GraphQLString : GraphQLJSON;
 };
 
-app.get('/:container/:table', async (req, res) => {
-    const { container, table } = req.params;
-    const data = await Storage.readContainer(req.userId, container);
+// `base`, else `base_2`, `base_3`, ... such that no name + suffix is taken yet; claims all of them
+const uniqueName = (base, taken, suffixes = ['']) => {
+    const isFree = (name) => suffixes.every(suffix => !taken.has(name + suffix));
+    let name = base;
+    for (let n = 2; !isFree(name); n++) name = `${base}_${n}`;
+    suffixes.forEach(suffix => taken.add(name + suffix));
+    return name;
+};
 
-    if (!data || !data[table]) return res.status(404).json({ error: `Table '${table}' not found` });
+// "my-app" + "users" -> "my_app_users"
+const graphqlName = (parts, taken) => {
+    const base = parts.join('_').replace(/[^_a-zA-Z0-9]/g, '_');
+    return uniqueName(GRAPHQL_NAME.test(base) ? base : `t_${base}`, taken, ['', '_by_id']);
+};
 
-    let records = getTableRecords(data[table]);
+const graphqlData = (data) => {
+    if (!isPlainObject(data)) throw new HttpError(400, 'data must be an object');
+    return { ...data };
+};
 
-    const { page, limit, ...filters } = req.query;
-    if (Object.keys(filters).length > 0) {
-        records = records.filter(record => {
-            return Object.entries(filters).every(([k, v]) => String(record[k]) === String(v));
-        });
-    }
+// Parent record(s) of a `ref` column; soft-deleted parents resolve to null
+const resolveReference = async (req, container, table, value, many) => {
+    await assertTableAccess(req, container, table, 'read');
+    const ids = many ? (Array.isArray(value) ? value : []) : [value];
+    const records = await findByField(req.userId, container, table, 'id', ids, false);
+    if (!many) return records[0] || null;
+    const byId = new Map(records.map(record => [String(record.id), record]));
+    return ids.map(id => byId.get(String(id))).filter(Boolean);
+};
 
-    if (page || limit) {
-        const pageNum = parseInt(page, 10) || 1;
-        const limitNum = parseInt(limit, 10) || 10;
-        const start = (pageNum - 1) * limitNum;
-        const end = start + limitNum;
+const queryTable = async (req, container, table, { filter = {}, sort, skip, limit, search, withDeleted }) => {
+    await assertTableAccess(req, container, table, 'read');
+    validateQuery(filter);
+
+    const offset = parseCount(skip, 'skip', 0, 0);
+    const limitNum = parseCount(limit, 'limit', null, 1);
+    const { total, records } = await Storage.queryRecords(req.userId, container, table, {
+        query: filter,
+        search: search || null,
+        sort: parseQuerySort(sort),
+        offset,
+        limit: limitNum,
+        withDeleted: withDeleted === true
+    });
+    return { total, skip: offset, limit: limitNum, items: records };
+};
 
-        return res.json({
-            page: pageNum,
-            limit: limitNum,
-            total: records.length,
-            data: records.slice(start, end)
-        });
+const findRecord = async (req, container, table, props, id, withDeleted) => {
+    await assertTableAccess(req, container, table, 'read');
+    try {
+        const record = await Storage.getRecord(req.userId, container, table, id);
+        return hidesDeleted(props, withDeleted) && isDeleted(record) ? null : record;
+    } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
     }
+};
 
-    res.json(records);
+// Mutations take the same per-container lock as the REST write routes
+const mutateTable = (req, container, table, fn) => Locks.run(`${req.userId}/${container}`, async () => {
+    await assertTableAccess(req, container, table, 'write');
+    return fn();
 });
 
-app.get('/:container/:table/:id', async (req, res) => {
-    const { container, table, id } = req.params;
-    const data = await Storage.readContainer(req.userId, container);
-
-    if (!data || !data[table]) return res.status(404).json({ error: 'Table not found' });
+// Output fields of a record type; relation fields point at record types of the same container
+const recordFields = (container, props, recordTypes) => () => {
+    // Nullable: records of legacy array tables may have no id
+    const fields = { id: { type: GraphQLID } };
+    for (const [field, definition] of Object.entries(props._schema || {})) {
+        if (GRAPHQL_NAME.test(field) && !fields[field]) fields[field] = { type: graphqlTypeOf(definition) };
+    }
 
-    const records = getTableRecords(data[table]);
-    const record = records.find(r => r.id === id);
-    if (!record) return res.status(404).json({ error: 'Record not found' });
+    const options = tableOptionsOf(props);
+    const managed = [...(options.timestamps ? ['createdAt', 'updatedAt'] : []), ...(options.softDelete ? ['deletedAt'] : [])];
+    managed.forEach(field => { fields[field] = { type: GraphQLString }; });
+
+    for (const [field, definition] of referenceFields(props._schema)) {
+        const name = relationName(field, definition);
+        const target = recordTypes.get(definition.ref);
+        if (!target || fields[name] || !GRAPHQL_NAME.test(name)) continue;
+        const many = columnOf(definition).type === 'Array';
+        fields[name] = {
+            type: many ? new GraphQLList(new GraphQLNonNull(target)) : target,
+            resolve: (record, args, req) => resolveReference(req, container, definition.ref, record[field], many)
+        };
+    }
 
-    res.json(record);
-});
+    // `_json`, or `_json_2`, ... when a column already has that name
+    fields[uniqueName('_json', new Set(Object.keys(fields)))] = { type: GraphQLJSON, description: 'The whole record', resolve: record => record };
+    return fields;
+};
 
-app.post('/:container/:table', async (req, res) => {
-    const { container, table } = req.params;
-    let data = await Storage.readContainer(req.userId, container) || {};
+const buildGraphQLSchema = async (userId) => {
+    const taken = new Set(['_tables']);
+    const tableInfos = [];
+    const queries = {
+        _tables: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(TableInfoType))), resolve: () => tableInfos }
+    };
+    const mutations = {};
+
+    for (const container of (await Storage.listContainers(userId)).sort()) {
+        const tables = (await Storage.listTables(userId, container)).sort((a, b) => a.table.localeCompare(b.table));
+        const recordTypes = new Map();
+
+        for (const { table, props } of tables) {
+            const name = graphqlName([container, table], taken);
+            const recordType = new GraphQLObjectType({ name: `${name}_record`, description: `Record of ${container}/${table}`, fields: recordFields(container, props, recordTypes) });
+            const pageType = new GraphQLObjectType({
+                name: `${name}_page`,
+                fields: {
+                    total: { type: new GraphQLNonNull(GraphQLInt) },
+                    skip: { type: new GraphQLNonNull(GraphQLInt) },
+                    limit: { type: GraphQLInt },
+                    items: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(recordType))) }
+                }
+            });
+            recordTypes.set(table, recordType);
+            tableInfos.push({ container, table, field: name });
+
+            const id = { type: new GraphQLNonNull(GraphQLID) };
+            const data = { type: new GraphQLNonNull(GraphQLJSON) };
+            queries[name] = {
+                type: new GraphQLNonNull(pageType),
+                description: `Records of ${container}/${table}`,
+                args: {
+                    filter: { type: GraphQLJSON, description: 'MongoDB-style filter document, as for POST _query' },
+                    sort: { type: GraphQLJSON, description: '{ field: 1 | -1 }' },
+                    skip: { type: GraphQLInt },
+                    limit: { type: GraphQLInt },
+                    search: { type: GraphQLString, description: 'Full-text search, ranked by relevance unless sorted' },
+                    withDeleted: { type: GraphQLBoolean }
+                },
+                resolve: (root, args, req) => queryTable(req, container, table, args)
+            };
+            queries[`${name}_by_id`] = {
+                type: recordType,
+                args: { id, withDeleted: { type: GraphQLBoolean } },
+                resolve: (root, args, req) => findRecord(req, container, table, props, args.id, args.withDeleted)
+            };
 
-    if (!data[table] && req.body._schema) {
-        data[table] = { _schema: req.body._schema, records: [] };
-        delete req.body._schema;
-        if (Object.keys(req.body).length === 0) {
-            await Storage.writeContainer(req.userId, container, data);
-            return res.status(201).json({ message: 'Table initialized with schema' });
+            mutations[`create_${name}`] = {
+                type: new GraphQLNonNull(recordType),
+                args: { data },
+                resolve: (root, args, req) => mutateTable(req, container, table, () => createRecord(req, container, table, graphqlData(args.data)))
+            };
+            mutations[`update_${name}`] = {
+                type: new GraphQLNonNull(recordType),
+                description: 'Merges `data` into the record (like PATCH)',
+                args: { id, data },
+                resolve: (root, args, req) => mutateTable(req, container, table, () => updateRecord(req, container, table, args.id, graphqlData(args.data), { partial: true }))
+            };
+            mutations[`replace_${name}`] = {
+                type: new GraphQLNonNull(recordType),
+                description: 'Replaces the record with `data` (like PUT)',
+                args: { id, data },
+                resolve: (root, args, req) => mutateTable(req, container, table, () => updateRecord(req, container, table, args.id, graphqlData(args.data)))
+            };
+            mutations[`delete_${name}`] = {
+                type: new GraphQLNonNull(GraphQLBoolean),
+                args: { id },
+                resolve: (root, args, req) => mutateTable(req, container, table, async () => {
+                    await removeRecord(req, container, table, args.id);
+                    return true;
+                })
+            };
         }
-    } else if (!data[table]) {
-        data[table] = [];
     }
 
-    const isStructured = !Array.isArray(data[table]);
-    const schema = isStructured ? data[table]._schema : null;
-    const records = isStructured ? data[table].records : data[table];
+    return new GraphQLSchema({
+        query: new GraphQLObjectType({ name: 'Query', fields: queries }),
+        mutation: Object.keys(mutations).length > 0 ? new GraphQLObjectType({ name: 'Mutation', fields: mutations }) : undefined
+    });
+};
 
-    delete req.body._schema;
+const GraphQLSchemas = {
+    schemas: new Map(), // userId -> GraphQLSchema, least recently used first
+    building: new Map(), // userId -> pending build; an invalidation drops it so it is never cached
 
-    if (schema) {
-        const validationError = validateAgainstSchema(req.body, schema);
-        if (validationError) return res.status(400).json({ error: `Validation Error: ${validationError}` });
-    }
+    async get(userId) {
+        const cached = this.schemas.get(userId);
+        if (cached) {
+            this.schemas.delete(userId);
+            this.schemas.set(userId, cached);
+            return cached;
+        }
+
+        const build = buildGraphQLSchema(userId);
+        this.building.set(userId, build);
+        try {
+            const schema = await build;
+            if (this.building.get(userId) === build) {
+                this.schemas.set(userId, schema);
+                if (this.schemas.size > GRAPHQL_SCHEMA_LIMIT) this.schemas.delete(this.schemas.keys().next().value);
+            }
+            return schema;
+        } finally {
+            if (this.building.get(userId) === build) this.building.delete(userId);
+        }
+    },
 
-    const newRecord = { id: uuidv4(), ...req.body };
-    records.push(newRecord);
+    invalidate(userId) {
+        this.schemas.delete(userId);
+        this.building.delete(userId);
+    }
+};
 
-    await Storage.writeContainer(req.userId, container, data);
-    res.status(201).json(newRecord);
-});
+// Depth of the deepest field selection (fragments are inlined; validate() already rejected cycles)
+const selectionDepth = (selectionSet, fragments) => {
+    if (!selectionSet) return 0;
+    return Math.max(0, ...selectionSet.selections.map(selection => {
+        // Introspection types are finite, so only the tenant's own fields count
+        if (selection.kind === Kind.FIELD) return selection.name.value.startsWith('__') ? 0 : 1 + selectionDepth(selection.selectionSet, fragments);
+        if (selection.kind === Kind.INLINE_FRAGMENT) return selectionDepth(selection.selectionSet, fragments);
+        const fragment = fragments[selection.name.value];
+        return fragment ? selectionDepth(fragment.selectionSet, fragments) : 0;
+    }));
+};
 
-app.put('/:container/:table/:id', async (req, res) => {
-    const { container, table, id } = req.params;
-    const data = await Storage.readContainer(req.userId, container);
+// HttpErrors keep their message and carry their status and details in `extensions`;
+// any other error thrown by a resolver is logged and masked like in the error handler
+const formatGraphQLError = (error) => {
+    const original = error.originalError;
+    if (original instanceof HttpError) {
+        return { ...error.toJSON(), extensions: { status: original.status, ...original.details } };
+    }
+    if (original && !(original instanceof GraphQLError)) {
+        console.error(`[GRAPHQL] ${(error.path || []).join('.')}:`, original);
+        return { ...error.toJSON(), message: 'Internal Server Error' };
+    }
+    return error.toJSON();
+};
 
-    if (!data || !data[table]) return res.status(404).json({ error: 'Table not found' });
+const graphqlRequestError = (res, status, message) => res.status(status).json({ errors: [{ message }] });
 
-    const isStructured = !Array.isArray(data[table]);
-    const schema = isStructured ? data[table]._schema : null;
-    const records = isStructured ? data[table].records : data[table];
+// POST { query, variables, operationName } or GET ?query=&variables=<json>&operationName= (queries only)
+const handleGraphQL = async (req, res) => {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    const { query, operationName = null } = params;
+    let variables = params.variables ?? null;
 
-    const idx = records.findIndex(r => r.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Record not found' });
+    if (typeof query !== 'string' || query.trim() === '') return graphqlRequestError(res, 400, 'Missing GraphQL query');
+    if (typeof variables === 'string') {
+        try { variables = JSON.parse(variables); } catch { return graphqlRequestError(res, 400, 'variables must be a JSON object'); }
+    }
+    if (variables !== null && !isPlainObject(variables)) return graphqlRequestError(res, 400, 'variables must be a JSON object');
 
-    if (schema) {
-        delete req.body._schema;
-        const validationError = validateAgainstSchema(req.body, schema);
-        if (validationError) return res.status(400).json({ error: `Validation Error: ${validationError}` });
+    let document;
+    try {
+        document = parse(query);
+    } catch (err) {
+        return res.status(400).json({ errors: [formatGraphQLError(err)] });
     }
 
-    records[idx] = { id, ...req.body };
-    await Storage.writeContainer(req.userId, container, data);
+    const schema = await GraphQLSchemas.get(req.userId);
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) return res.status(400).json({ errors: validationErrors.map(formatGraphQLError) });
 
-    res.json(records[idx]);
-});
+    const operation = getOperationAST(document, operationName);
+    if (!operation) return graphqlRequestError(res, 400, operationName ? `Unknown operation '${operationName}'` : 'operationName is required when the document has several operations');
+    if (req.method === 'GET' && operation.operation !== 'query') {
+        res.set('Allow', 'POST');
+        return graphqlRequestError(res, 405, `${operation.operation} operations must be sent with POST`);
+    }
+    const fragments = Object.fromEntries(document.definitions.filter(d => d.kind === Kind.FRAGMENT_DEFINITION).map(d => [d.name.value, d]));
+    if (selectionDepth(operation.selectionSet, fragments) > GRAPHQL_MAX_DEPTH) {
+        return graphqlRequestError(res, 400, `Query exceeds the maximum depth of ${GRAPHQL_MAX_DEPTH}`);
+    }
 
-app.delete('/:container/:table/:id', async (req, res) => {
-    const { container, table, id } = req.params;
-    const data = await Storage.readContainer(req.userId, container);
+    const result = await execute({ schema, document, operationName, variableValues: variables, contextValue: req });
+    // No data at all means the variables were rejected before execution
+    const status = result.data === undefined ? 400 : 200;
+    res.status(status).json(result.errors ? { errors: result.errors.map(formatGraphQLError), data: result.data } : { data: result.data });
+};
 
-    if (!data || !data[table]) return res.status(404).json({ error: 'Table not found' });
+app.get('/graphql', handleGraphQL);
+app.post('/graphql', handleGraphQL);
 
-    const isStructured = !Array.isArray(data[table]);
-    const records = isStructured ? data[table].records : data[table];
+// ----------------------------------------------------
+// OpenAPI (GET /openapi.json)
+// ----------------------------------------------------
 
-    const idx = records.findIndex(r => r.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Record not found' });
+// An OpenAPI 3.1 document generated per request from the tenant's tables. OpenAPI 3.1 schemas
+// are JSON Schema 2020-12, so record schemas are the table's JSON Schema export (see toJsonSchema).
 
-    records.splice(idx, 1);
-    await Storage.writeContainer(req.userId, container, data);
-    res.status(204).send();
-});
+const OPENAPI_SECURITY_SCHEMES = {
+    userId: { type: 'apiKey', in: 'header', name: 'x-user-id', description: 'Tenant UUID from POST /auth/register' },
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Session token from POST /auth/login; it carries the role' },
+    apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'The tenant UUID again, for direct admin access' }
+};
 
-app.patch('/:container/:table/:id', async (req, res) => {
-    const { container, table, id } = req.params;
-    const data = await Storage.readContainer(req.userId, container);
+// A token identifies the tenant on its own; the API key only counts together with x-user-id
+const OPENAPI_SECURITY = [{ bearerAuth: [] }, { userId: [], bearerAuth: [] }, { userId: [], apiKey: [] }];
 
-    if (!data || !data[table]) return res.status(404).json({ error: 'Table not found' });
+const OPENAPI_RESPONSES = {
+    BadRequest: 'Invalid request or failed validation',
+    Forbidden: 'The role may not access this table',
+    NotFound: 'Table or record not found',
+    Conflict: 'Unique or foreign key constraint violated'
+};
 
-    const isStructured = !Array.isArray(data[table]);
-    const schema = isStructured ? data[table]._schema : null;
-    const records = isStructured ? data[table].records : data[table];
+const OPENAPI_ERROR_SCHEMAS = {
+    Error: { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] },
+    ValidationError: {
+        type: 'object',
+        properties: {
+            error: { type: 'string' },
+            errors: {
+                type: 'array',
+                items: { type: 'object', properties: { field: { type: 'string' }, rule: { type: 'string' }, message: { type: 'string' } } }
+            }
+        },
+        required: ['error']
+    }
+};
 
-    const idx = records.findIndex(r => r.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Record not found' });
+const SCALAR_JSON_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const errorResponse = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// Record schema of a table, including the fields the server maintains
+const recordSchema = (table, props) => {
+    const { $schema, ...record } = toJsonSchema(table, props);
+    const options = tableOptionsOf(props);
+    const dateTime = { type: 'string', format: 'date-time', readOnly: true };
+    const managed = {
+        ...(options.timestamps ? { createdAt: dateTime, updatedAt: dateTime } : {}),
+        ...(options.softDelete ? { deletedAt: { ...dateTime, type: ['string', 'null'] } } : {})
+    };
+    return { ...record, properties: { ...record.properties, ...managed } };
+};
 
-    if (schema) {
-        delete req.body._schema;
-        // For PATCH, we only validate the fields present in req.body
-        const validationError = validateAgainstSchema(req.body, schema);
-        if (validationError) return res.status(400).json({ error: `Validation Error: ${validationError}` });
+// ?field= equality filters for the top-level scalar columns
+const filterParameters = (schema) => Object.entries(schema || {})
+    .filter(([field]) => !LIST_PARAMS.includes(field) && !field.startsWith('_'))
+    .map(([field, definition]) => [field, [].concat(columnToJsonSchema(definition).type).find(type => type !== 'null')])
+    .filter(([, type]) => SCALAR_JSON_TYPES.includes(type))
+    .map(([field, type]) => ({ name: field, in: 'query', schema: { type }, description: `Equals; ${field}_gte, ${field}_lte, ${field}_ne, ${field}_like, ... also work` }));
+
+const queryParameter = (name, type, description) => ({ name, in: 'query', schema: { type }, description });
+
+const listParameters = (props) => [
+    queryParameter('page', 'integer', 'Page number; returns { page, limit, total, data }'),
+    queryParameter('limit', 'integer', 'Page size (default 10)'),
+    queryParameter('cursor', 'string', 'Opaque cursor from a Link header'),
+    queryParameter('fields', 'string', 'Comma-separated fields to return'),
+    queryParameter('q', 'string', 'Full-text search'),
+    queryParameter('_sort', 'string', 'Comma-separated sort fields'),
+    queryParameter('_order', 'string', 'asc or desc per sort field'),
+    queryParameter('_expand', 'string', 'Parent relations to inline'),
+    queryParameter('_embed', 'string', 'Child tables to inline'),
+    ...(tableOptionsOf(props).softDelete ? [queryParameter('_withDeleted', 'boolean', 'Include soft-deleted records')] : []),
+    ...filterParameters(props._schema)
+];
+
+// Paths for one table; `name` is its component schema name (`<name>_patch` is the PATCH body)
+const tablePaths = (container, table, props, name) => {
+    const base = `/${encodeURIComponent(container)}/${encodeURIComponent(table)}`;
+    const tags = [`${container}/${table}`];
+    const record = { $ref: `#/components/schemas/${name}` };
+    const recordResponse = (description) => ({ description, content: jsonContent(record) });
+    const { readOnly, ...idSchema } = idJsonSchema(props);
+    const idParameter = { name: 'id', in: 'path', required: true, schema: idSchema };
+    const operation = (verb, summary, spec) => ({ operationId: `${name}.${verb}`, tags, summary, ...spec });
+
+    return {
+        [base]: {
+            get: operation('list', `List ${table}`, {
+                description: 'Without page, limit or cursor every matching record is returned as an array.',
+                parameters: listParameters(props),
+                responses: {
+                    200: {
+                        description: 'Matching records',
+                        headers: { 'X-Total-Count': { schema: { type: 'integer' } } },
+                        content: jsonContent({
+                            oneOf: [
+                                { type: 'array', items: record },
+                                { type: 'object', properties: { page: { type: 'integer' }, limit: { type: 'integer' }, total: { type: 'integer' }, data: { type: 'array', items: record } } }
+                            ]
+                        })
+                    },
+                    400: errorResponse('BadRequest'),
+                    403: errorResponse('Forbidden')
+                }
+            }),
+            post: operation('create', `Create a ${table} record`, {
+                requestBody: { required: true, content: jsonContent(record) },
+                responses: { 201: recordResponse('Created record'), 400: errorResponse('BadRequest'), 403: errorResponse('Forbidden'), 409: errorResponse('Conflict') }
+            })
+        },
+        [`${base}/_query`]: {
+            post: operation('query', `Query ${table} with a filter document`, {
+                requestBody: {
+                    required: true,
+                    content: jsonContent({
+                        type: 'object',
+                        properties: {
+                            filter: { type: 'object', description: 'MongoDB-style filter ($and, $or, $gt, $in, $regex, ...)' },
+                            sort: { type: 'object', additionalProperties: { enum: [1, -1] } },
+                            projection: { type: 'object', additionalProperties: { const: 1 } },
+                            skip: { type: 'integer', minimum: 0 },
+                            limit: { type: 'integer', minimum: 1 }
+                        }
+                    })
+                },
+                responses: {
+                    200: {
+                        description: 'Matching records',
+                        content: jsonContent({ type: 'object', properties: { total: { type: 'integer' }, skip: { type: 'integer' }, limit: { type: ['integer', 'null'] }, data: { type: 'array', items: record } } })
+                    },
+                    400: errorResponse('BadRequest'),
+                    403: errorResponse('Forbidden')
+                }
+            })
+        },
+        [`${base}/{id}`]: {
+            parameters: [idParameter],
+            get: operation('get', `Get a ${table} record`, {
+                responses: { 200: recordResponse('The record'), 403: errorResponse('Forbidden'), 404: errorResponse('NotFound') }
+            }),
+            put: operation('replace', `Replace a ${table} record`, {
+                requestBody: { required: true, content: jsonContent(record) },
+                responses: { 200: recordResponse('Replaced record'), 400: errorResponse('BadRequest'), 403: errorResponse('Forbidden'), 404: errorResponse('NotFound'), 409: errorResponse('Conflict') }
+            }),
+            patch: operation('update', `Update fields of a ${table} record`, {
+                requestBody: { required: true, content: jsonContent({ $ref: `#/components/schemas/${name}_patch` }) },
+                responses: { 200: recordResponse('Updated record'), 400: errorResponse('BadRequest'), 403: errorResponse('Forbidden'), 404: errorResponse('NotFound'), 409: errorResponse('Conflict') }
+            }),
+            delete: operation('delete', `Delete a ${table} record`, {
+                responses: { 204: { description: 'Deleted' }, 403: errorResponse('Forbidden'), 404: errorResponse('NotFound'), 409: errorResponse('Conflict') }
+            })
+        }
+    };
+};
+
+const buildOpenApi = async (req) => {
+    const taken = new Set(Object.keys(OPENAPI_ERROR_SCHEMAS));
+    const tags = [];
+    const paths = {};
+    const schemas = { ...OPENAPI_ERROR_SCHEMAS };
+
+    for (const container of (await Storage.listContainers(req.userId)).sort()) {
+        const tables = (await Storage.listTables(req.userId, container)).sort((a, b) => a.table.localeCompare(b.table));
+        for (const { table, props } of tables) {
+            const name = uniqueName(`${container}.${table}`.replace(/[^a-zA-Z0-9._-]/g, '_'), taken, ['', '_patch']);
+            const record = recordSchema(table, props);
+            const { required, ...patch } = record;
+            schemas[name] = record;
+            schemas[`${name}_patch`] = { ...patch, title: `${table} (partial)` };
+            tags.push({ name: `${container}/${table}` });
+            Object.assign(paths, tablePaths(container, table, props, name));
+        }
     }
 
-    records[idx] = { ...records[idx], ...req.body, id }; // Ensure ID is preserved
-    await Storage.writeContainer(req.userId, container, data);
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'jdm-mock-server',
+            version: JDM_VERSION,
+            description: `Tables of tenant ${req.userId}, generated from their \`_schema\` definitions.`
+        },
+        servers: [{ url: `${req.protocol}://${req.get('host')}` }],
+        security: OPENAPI_SECURITY,
+        tags,
+        paths,
+        components: {
+            schemas,
+            responses: Object.fromEntries(Object.entries(OPENAPI_RESPONSES).map(([key, description]) => [key, {
+                description,
+                content: jsonContent({ $ref: `#/components/schemas/${key === 'BadRequest' ? 'ValidationError' : 'Error'}` })
+            }])),
+            securitySchemes: OPENAPI_SECURITY_SCHEMES
+        }
+    };
+};
+
+app.get('/openapi.json', async (req, res) => {
+    res.json(await buildOpenApi(req));
+});
+
+// ----------------------------------------------------
+// Error Handling
+// ----------------------------------------------------
+app.use((err, req, res, next) => {
+    if (err instanceof HttpError) {
+        if (err instanceof QuotaExceededError) {
+            console.warn(`[QUOTA] Blocked ${req.method} ${req.path} - User ${req.userId} over quota`);
+        }
+        return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Payload Too Large', limitBytes: err.limit, receivedBytes: err.length });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body' });
+    }
 
-    res.json(records[idx]);
+    console.error(`[ERROR] ${req.method} ${req.path}:`, err);
+    res.status(err.status || 500).json({ error: 'Internal Server Error' });
 });
 
 // ----------------------------------------------------
@@ -875,6 +5318,7 @@ app.patch('/:container/:table/:id', async (req, res) => {
 // ----------------------------------------------------
 const startServer = async () => {
     await Storage.init();
+    Janitor.start();
 
     const server = options.ssl ?
         https.createServer({
@@ -882,9 +5326,10 @@ const startServer = async () => {
             cert: await fs.readFile('server.cert')
         }, app) : app;
 
-    server.listen(PORT, () => {
+    const listener = server.listen(PORT, () => {
         console.log(`🚀 JDM Mocker ${JDM_VERSION} running in ${STORE_MODE} mode on http${options.ssl ? 's' : ''}://localhost:${PORT}`);
     });
+    attachChangeSocket(listener);
 };
 
 startServer().catch(console.error);
\ No newline at end of file
@@ -1,4 +1,13 @@
 const assert = require('assert');
+const WebSocket = require('ws');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Developer account the server seeds; the quota overrides need its /auth/dev-login session
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@test.local';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test-password';
 
 class JdmMockerTester {
     constructor(baseUrl = 'http://localhost:3000') {
@@ -15,10 +24,11 @@ class JdmMockerTester {
             headers['Content-Type'] = 'application/json';
         }
 
-        if (this.userId) headers['x-user-id'] = this.userId;
+        // Explicit credentials (e.g. the developer session) replace the tester's own
+        if (this.userId && !headers['Authorization']) headers['x-user-id'] = this.userId;
 
         // Use CSRF-Token to verify the new feature we just added
-        if (this.token) headers['CSRF-Token'] = this.token;
+        if (this.token && !headers['Authorization']) headers['CSRF-Token'] = this.token;
 
         const res = await fetch(url, { ...options, headers });
         let data;
@@ -29,7 +39,7 @@ class JdmMockerTester {
             data = text;
         }
 
-        return { status: res.status, data };
+        return { status: res.status, data, headers: res.headers };
     }
 
     async runTests() {
@@ -153,6 +163,634 @@ class JdmMockerTester {
             assert.notStrictEqual(this.userId, oldUserId, 'UUID should change');
             console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
 
+            // 13. Usage Report
+            process.stdout.write('13. Testing Usage Report (GET)...');
+            await this.request('/quota-db/notes', { method: 'POST', body: JSON.stringify({ text: 'hello' }) });
+            res = await this.request('/usage', { method: 'GET' });
+            assert.strictEqual(res.status, 200, 'Usage report failed');
+            assert.ok(res.data.usedBytes > 0, 'Usage should be reported');
+            assert.ok(res.data.containers['quota-db'].tables.notes > 0, 'Per-table usage missing');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 14. Quota Enforcement
+            process.stdout.write('14. Testing Quota Enforcement (POST)...');
+            res = await this.request(`/admin/users/${this.userId}/quota`, { method: 'PUT', body: JSON.stringify({ quotaBytes: 0 }) });
+            assert.strictEqual(res.status, 403, 'A tenant admin must not override its own quota');
+            res = await this.request('/auth/dev-login', { method: 'POST', body: JSON.stringify({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD }) });
+            assert.strictEqual(res.status, 200, 'Developer login failed (are ADMIN_EMAIL/ADMIN_PASSWORD the server\'s?)');
+            const developer = { 'Authorization': `Bearer ${res.data.token}` };
+            res = await this.request(`/admin/users/${this.userId}/quota`, { method: 'PUT', headers: developer, body: JSON.stringify({ quotaBytes: 2048 }) });
+            assert.strictEqual(res.status, 200, 'Setting quota override failed');
+            res = await this.request('/quota-db/notes', { method: 'POST', body: JSON.stringify({ text: 'x'.repeat(4096) }) });
+            assert.strictEqual(res.status, 507, 'Write over quota should return 507');
+            assert.strictEqual(res.data.quotaBytes, 2048, 'Quota details missing from error');
+            await this.request(`/admin/users/${this.userId}/quota`, { method: 'PUT', headers: developer, body: JSON.stringify({ quotaBytes: null }) });
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 15. Janitor Dry-Run Report
+            process.stdout.write('15. Testing Janitor Dry-Run Report (GET)...');
+            res = await this.request('/admin/janitor/report', { method: 'GET' });
+            assert.strictEqual(res.status, 200, 'Janitor report failed');
+            assert.ok(Array.isArray(res.data.tenants), 'Janitor report should list tenants');
+            assert.ok(!res.data.tenants.some(t => t.userId === this.userId), 'Active tenant must not be reported');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 16. Concurrent Writes
+            process.stdout.write('16. Testing Concurrent Writes (parallel POST)...');
+            const parallel = await Promise.all(Array.from({ length: 25 }, (_, i) =>
+                this.request('/concurrency-db/events', { method: 'POST', body: JSON.stringify({ seq: i }) })
+            ));
+            assert.ok(parallel.every(r => r.status === 201), 'Every parallel POST should be acknowledged');
+            res = await this.request('/concurrency-db/events', { method: 'GET' });
+            assert.strictEqual(res.data.length, 25, 'Acknowledged writes were lost');
+            console.log(` ✅ OK (Status: ${res.status}) - Records: ${res.data.length}`);
+
+            // 17. Snapshot & Reset
+            process.stdout.write('17. Testing Snapshot & Reset...');
+            res = await this.request('/_snapshots/baseline', { method: 'POST' });
+            assert.strictEqual(res.status, 201, 'Snapshot failed');
+            res = await this.request('/_snapshots', { method: 'GET' });
+            const baseline = res.data.snapshots.find(snap => snap.name === 'baseline');
+            assert.ok(baseline && baseline.bytes > 0, 'Snapshot should be listed with its size');
+            await this.request('/scratch-db/items', { method: 'POST', body: JSON.stringify({ a: 1 }) });
+            res = await this.request('/_reset', { method: 'POST', body: JSON.stringify({ snapshot: 'baseline' }) });
+            assert.strictEqual(res.status, 200, 'Reset to snapshot failed');
+            res = await this.request('/containers', { method: 'GET' });
+            assert.ok(!res.data.containers.includes('scratch-db'), 'Container created after snapshot should be gone');
+            assert.ok(res.data.containers.includes('concurrency-db'), 'Snapshot containers should be restored');
+            res = await this.request('/_reset', { method: 'POST', body: JSON.stringify({}) });
+            assert.strictEqual(res.status, 200, 'Reset to empty failed');
+            res = await this.request('/containers', { method: 'GET' });
+            assert.strictEqual(res.data.containers.length, 0, 'Tenant should be empty after reset');
+            // The snapshot itself already fills this quota, so restoring it must fail before anything changes
+            await this.request(`/admin/users/${this.userId}/quota`, { method: 'PUT', headers: developer, body: JSON.stringify({ quotaBytes: baseline.bytes + 1 }) });
+            res = await this.request('/_reset', { method: 'POST', body: JSON.stringify({ snapshot: 'baseline' }) });
+            assert.strictEqual(res.status, 507, 'Restore over quota should return 507');
+            await this.request(`/admin/users/${this.userId}/quota`, { method: 'PUT', headers: developer, body: JSON.stringify({ quotaBytes: null }) });
+            res = await this.request('/containers', { method: 'GET' });
+            assert.strictEqual(res.data.containers.length, 0, 'A rejected restore should leave the tenant untouched');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 18. Query Operators
+            process.stdout.write('18. Testing Query Operators (GET)...');
+            await this.request('/query-db/people', { method: 'POST', body: JSON.stringify({ _schema: { age: 'Number', joined: 'Date' } }) });
+            for (const person of [
+                { name: 'Alice', age: 9, joined: '2025-03-01', address: { city: 'Paris' } },
+                { name: 'alicia', age: 30, joined: '2026-02-01', address: { city: 'Lyon' } },
+                { name: 'Bob', age: 41, joined: '2026-06-01', address: { city: 'Paris' } }
+            ]) {
+                await this.request('/query-db/people', { method: 'POST', body: JSON.stringify(person) });
+            }
+            res = await this.request('/query-db/people?age_gte=10', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(p => p.name), ['alicia', 'Bob'], 'Numeric _gte should compare as numbers');
+            res = await this.request('/query-db/people?name_like=^ali&address.city=Paris', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(p => p.name), ['Alice'], '_like combined with dot notation failed');
+            res = await this.request('/query-db/people?name_in=Bob,alicia&age_ne=30', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(p => p.name), ['Bob'], '_in / _ne filtering failed');
+            res = await this.request('/query-db/people?joined_gte=2026-01-01&joined_lt=2026-03-01', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(p => p.name), ['alicia'], 'Date range filtering failed');
+            await this.request('/query-db/plugins', { method: 'POST', body: JSON.stringify({ _schema: { plug_in: 'String', active: 'Boolean', fields: 'String' } }) });
+            await this.request('/query-db/plugins', { method: 'POST', body: JSON.stringify({ plug_in: 'audio', active: true, fields: 'all' }) });
+            await this.request('/query-db/plugins', { method: 'POST', body: JSON.stringify({ plug_in: 'video', active: false, fields: 'none' }) });
+            res = await this.request('/query-db/plugins?plug_in=audio', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(p => p.plug_in), ['audio'], 'Schema columns ending like an operator should filter by equality');
+            res = await this.request('/query-db/plugins?fields[eq]=none&plug_in[ne]=audio', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(p => p.plug_in), ['video'], 'Explicit field[op] filters failed');
+            res = await this.request('/query-db/plugins?active=yes', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Non-boolean value for a Boolean column should be rejected');
+            res = await this.request('/query-db/people?joined_gte=soon', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Unparseable value for a Date column should be rejected');
+            res = await this.request('/query-db/people?name_like=(unclosed', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Invalid _like pattern should be rejected');
+            res = await this.request('/query-db/people?name_like=(a%2B)%2B$', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Nested quantifiers in a _like pattern should be rejected');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 19. Sorting & Projection
+            process.stdout.write('19. Testing Sorting & Field Projection (GET)...');
+            await this.request('/query-db/people', { method: 'POST', body: JSON.stringify({ name: 'Bob', age: 5, joined: '2024-01-01' }) });
+            res = await this.request('/query-db/people?_sort=name,age&_order=asc,desc&fields=name,age', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(p => `${p.name}:${p.age}`), ['Alice:9', 'Bob:41', 'Bob:5', 'alicia:30'], 'Multi-field sort failed');
+            assert.deepStrictEqual(Object.keys(res.data[0]).sort(), ['age', 'id', 'name'], 'fields= should trim records');
+            res = await this.request('/query-db/people?_sort=joined&_order=desc&page=1&limit=2&fields=address.city&age_gte=9', { method: 'GET' });
+            assert.strictEqual(res.data.total, 3, 'Filters should apply before pagination');
+            assert.deepStrictEqual(res.data.data.map(p => p.address.city), ['Paris', 'Lyon'], 'Date sort with pagination failed');
+            res = await this.request('/query-db/people?_sort=age&_order=sideways', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Invalid _order should be rejected');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 20. Cursor Pagination & Link Headers
+            process.stdout.write('20. Testing Cursor Pagination & Link Headers (GET)...');
+            for (const n of [10, 20, 30, 40, 50]) {
+                await this.request('/cursor-db/items', { method: 'POST', body: JSON.stringify({ n }) });
+            }
+            const linkTo = (response, rel) => {
+                const match = (response.headers.get('link') || '').match(new RegExp(`<([^>]+)>; rel="${rel}"`));
+                return match ? match[1].replace(this.baseUrl, '') : null;
+            };
+            res = await this.request('/cursor-db/items?cursor=&limit=2&_sort=n', { method: 'GET' });
+            assert.ok(Array.isArray(res.data), 'Cursor mode should return a plain array');
+            assert.deepStrictEqual(res.data.map(i => i.n), [10, 20], 'First cursor page mismatch');
+            assert.strictEqual(res.headers.get('x-total-count'), '5', 'X-Total-Count header missing');
+            assert.ok(linkTo(res, 'first') && linkTo(res, 'last') && !linkTo(res, 'prev'), 'First page Link header mismatch');
+            const nextPage = linkTo(res, 'next');
+            await this.request('/cursor-db/items', { method: 'POST', body: JSON.stringify({ n: 5 }) });
+            await this.request(`/cursor-db/items/${res.data[1].id}`, { method: 'DELETE' });
+            res = await this.request(nextPage, { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(i => i.n), [30, 40], 'Cursor should stay stable across writes');
+            res = await this.request(linkTo(res, 'prev'), { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(i => i.n), [5, 10], 'Prev cursor page mismatch');
+            res = await this.request(linkTo(res, 'last'), { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(i => i.n), [40, 50], 'Last cursor page mismatch');
+            assert.ok(!linkTo(res, 'next'), 'Last page should not link to next');
+            res = await this.request('/cursor-db/items?page=2&limit=2', { method: 'GET' });
+            assert.strictEqual(res.headers.get('x-total-count'), '5', 'Page mode should send X-Total-Count');
+            assert.ok(linkTo(res, 'prev') && linkTo(res, 'next'), 'Page mode Link header mismatch');
+            res = await this.request('/cursor-db/items?cursor=not-a-cursor', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Malformed cursor should be rejected');
+            res = await this.request('/cursor-db/items?cursor=&limit=-1', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Negative cursor limit should be rejected');
+            res = await this.request('/cursor-db/items?page=1&limit=0', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Zero page limit should be rejected');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 21. Aggregation
+            process.stdout.write('21. Testing Aggregation (GET _aggregate)...');
+            await this.request('/stats-db/orders', { method: 'POST', body: JSON.stringify({ _schema: { total: 'Number', status: 'String', placed: 'Date' } }) });
+            for (const order of [
+                { total: 10, status: 'paid', placed: '2026-01-05' },
+                { total: 30, status: 'paid', placed: '2026-03-01' },
+                { total: 5, status: 'open', placed: '2026-02-10' },
+                { total: 100, status: 'cancelled', placed: '2026-04-01' }
+            ]) {
+                await this.request('/stats-db/orders', { method: 'POST', body: JSON.stringify(order) });
+            }
+            res = await this.request('/stats-db/orders/_aggregate?sum=total&avg=total&min=placed&max=total&status_ne=cancelled', { method: 'GET' });
+            assert.strictEqual(res.status, 200, 'Aggregation failed');
+            assert.strictEqual(res.data.count, 3, 'Filtered count mismatch');
+            assert.strictEqual(res.data.sum.total, 45, 'Sum mismatch');
+            assert.strictEqual(res.data.avg.total, 15, 'Avg mismatch');
+            assert.strictEqual(res.data.max.total, 30, 'Max mismatch');
+            assert.strictEqual(new Date(res.data.min.placed).toISOString().slice(0, 10), '2026-01-05', 'Date min mismatch');
+            res = await this.request('/stats-db/orders/_aggregate?groupBy=status&sum=total', { method: 'GET' });
+            assert.deepStrictEqual(res.data.groups.map(g => [g.key.status, g.count, g.sum.total]), [['cancelled', 1, 100], ['open', 1, 5], ['paid', 2, 40]], 'Group-by mismatch');
+            res = await this.request('/stats-db/orders/_aggregate?sum=status', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Summing a String field should be rejected');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 22. Relations (_expand / _embed)
+            process.stdout.write('22. Testing Relation Expansion & Embedding (GET)...');
+            res = await this.request('/rel-db/customers', { method: 'POST', body: JSON.stringify({ name: 'Ada' }) });
+            const customerId = res.data.id;
+            await this.request('/rel-db/orders', { method: 'POST', body: JSON.stringify({ _schema: { buyer: { type: 'String', ref: 'customers', as: 'customer' } } }) });
+            res = await this.request('/rel-db/orders', { method: 'POST', body: JSON.stringify({ buyer: customerId, total: 12 }) });
+            const orderId = res.data.id;
+            await this.request('/rel-db/orders', { method: 'POST', body: JSON.stringify({ buyer: customerId, total: 30 }) });
+            res = await this.request(`/rel-db/orders/${orderId}?_expand=customer`, { method: 'GET' });
+            assert.strictEqual(res.data.customer.name, 'Ada', 'Declared parent relation was not expanded');
+            res = await this.request('/rel-db/customers?_embed=orders', { method: 'GET' });
+            assert.deepStrictEqual(res.data[0].orders.map(o => o.total), [12, 30], 'Child records were not embedded');
+            res = await this.request('/rel-db/orders?fields=total&_expand=customer', { method: 'GET' });
+            assert.deepStrictEqual(Object.keys(res.data[0]).sort(), ['customer', 'id', 'total'], 'fields= should apply after _expand');
+            assert.strictEqual(res.data[0].customer.name, 'Ada', 'Projection dropped the reference before expanding');
+            res = await this.request('/rel-db/orders?fields=total,customer.name&_expand=customer&page=1&limit=1', { method: 'GET' });
+            assert.deepStrictEqual(res.data.data[0].customer, { name: 'Ada' }, 'fields= should reach into expanded relations');
+            res = await this.request('/rel-db/orders?_expand=nothing', { method: 'GET' });
+            assert.strictEqual(res.status, 400, 'Unknown relation should be rejected');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 23. JSON Query Endpoint
+            process.stdout.write('23. Testing JSON Query (POST _query)...');
+            for (const ticket of [
+                { title: 'Login broken', priority: 1, tags: ['auth', 'bug'], comments: [{ by: 'ann', votes: 3 }] },
+                { title: 'Dark mode', priority: 3, tags: ['ui'], comments: [] },
+                { title: 'Slow search', priority: 2, tags: ['perf', 'bug'], comments: [{ by: 'bo', votes: 9 }] },
+                { title: 'Typo on login page', priority: 4, tags: ['ui'] }
+            ]) {
+                await this.request('/search-db/tickets', { method: 'POST', body: JSON.stringify(ticket) });
+            }
+            res = await this.request('/search-db/tickets/_query', {
+                method: 'POST',
+                body: JSON.stringify({
+                    filter: {
+                        $or: [
+                            { tags: { $in: ['bug'] }, priority: { $lte: 2 } },
+                            { title: { $regex: '^typo', $options: 'i' } }
+                        ],
+                        $not: { comments: { $elemMatch: { votes: { $gt: 5 } } } }
+                    },
+                    sort: { priority: -1 },
+                    projection: { title: 1 }
+                })
+            });
+            assert.strictEqual(res.status, 200, 'JSON query failed');
+            assert.deepStrictEqual(res.data.data.map(t => t.title), ['Typo on login page', 'Login broken'], 'JSON query result mismatch');
+            assert.deepStrictEqual(Object.keys(res.data.data[0]).sort(), ['id', 'title'], 'Projection not applied');
+            res = await this.request('/search-db/tickets/_query', { method: 'POST', body: JSON.stringify({ filter: { comments: { $exists: false } }, skip: 0, limit: 1 }) });
+            assert.strictEqual(res.data.total, 1, '$exists mismatch');
+            res = await this.request('/search-db/tickets/_query', { method: 'POST', body: JSON.stringify({ filter: { $where: 'true' } }) });
+            assert.strictEqual(res.status, 400, 'Unsupported operators should be rejected');
+            res = await this.request('/search-db/tickets/_query', { method: 'POST', body: JSON.stringify({ filter: { title: { $regex: '(' } } }) });
+            assert.strictEqual(res.status, 400, 'Invalid $regex should be rejected');
+            res = await this.request('/search-db/tickets/_query', { method: 'POST', body: JSON.stringify({ filter: { title: { $regex: 'a'.repeat(101) } } }) });
+            assert.strictEqual(res.status, 400, 'Oversized $regex should be rejected');
+            res = await this.request('/search-db/tickets/_query', { method: 'POST', body: JSON.stringify({ filter: { title: { $not: { $regex: '^(\\w+\\s?)*$', $options: 'i' } } } }) });
+            assert.strictEqual(res.status, 400, 'Catastrophic $regex should be rejected');
+            assert.strictEqual(res.data.path, 'filter.title.$not.$regex', 'Rejected $regex should report its path');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 24. Full-Text Search
+            process.stdout.write('24. Testing Full-Text Search (GET ?q=)...');
+            await this.request('/recipes-db/recipes', { method: 'POST', body: JSON.stringify({ _schema: { title: { type: 'String', searchable: true }, notes: 'String', secret: 'String' } }) });
+            for (const recipe of [
+                { title: 'Crème Brûlée', notes: 'classic dessert', secret: 'cake' },
+                { title: 'Chocolate Cake', notes: 'rich chocolate cake with chocolate icing' },
+                { title: 'Carrot cake', notes: 'spiced' }
+            ]) {
+                await this.request('/recipes-db/recipes', { method: 'POST', body: JSON.stringify(recipe) });
+            }
+            res = await this.request('/recipes-db/recipes?q=CREME brulee', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(r => r.title), ['Crème Brûlée'], 'Accent/case folding failed');
+            res = await this.request('/recipes-db/recipes?q=choc cake', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(r => r.title), ['Chocolate Cake'], 'Prefix search failed');
+            res = await this.request('/recipes-db/recipes?q=cake', { method: 'GET' });
+            assert.strictEqual(res.data.length, 2, 'Only searchable columns should be indexed');
+            const carrot = res.data.find(r => r.title === 'Carrot cake');
+            await this.request(`/recipes-db/recipes/${carrot.id}`, { method: 'PATCH', body: JSON.stringify({ title: 'Carrot muffins' }) });
+            await this.request('/recipes-db/recipes', { method: 'POST', body: JSON.stringify({ title: 'Cheesecake cake' }) });
+            res = await this.request('/recipes-db/recipes?q=cake&_sort=title', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(r => r.title), ['Cheesecake cake', 'Chocolate Cake'], 'Search index out of sync after writes');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 25. Secondary Indexes
+            process.stdout.write('25. Testing Secondary Indexes...');
+            for (const member of [{ email: 'a@x.io', team: 'red' }, { email: 'b@x.io', team: 'blue' }, { email: 'c@x.io', team: 'red' }]) {
+                await this.request('/index-db/members', { method: 'POST', body: JSON.stringify(member) });
+            }
+            res = await this.request('/index-db/members/_indexes', { method: 'POST', body: JSON.stringify({ field: 'email', unique: true }) });
+            assert.strictEqual(res.status, 201, 'Unique index creation failed');
+            res = await this.request('/index-db/members/_indexes', { method: 'POST', body: JSON.stringify({ field: 'team', unique: true }) });
+            assert.strictEqual(res.status, 409, 'Unique index over duplicates should be rejected');
+            res = await this.request('/index-db/members/_indexes', { method: 'POST', body: JSON.stringify({ field: 'team' }) });
+            assert.strictEqual(res.status, 201, 'Non-unique index creation failed');
+            res = await this.request('/index-db/members', { method: 'POST', body: JSON.stringify({ email: 'a@x.io', team: 'blue' }) });
+            assert.strictEqual(res.status, 409, 'Duplicate unique value should be rejected');
+            res = await this.request('/index-db/members?team=red', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(m => m.email), ['a@x.io', 'c@x.io'], 'Indexed filter mismatch');
+            await this.request(`/index-db/members/${res.data[0].id}`, { method: 'PATCH', body: JSON.stringify({ team: 'blue' }) });
+            await this.request(`/index-db/members/${res.data[1].id}`, { method: 'DELETE' });
+            res = await this.request('/index-db/members?team_in=red,blue', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(m => m.email), ['a@x.io', 'b@x.io'], 'Index out of sync after PATCH/DELETE');
+            const member = await this.request(`/index-db/members/${res.data[1].id}`, { method: 'GET' });
+            assert.strictEqual(member.data.email, 'b@x.io', 'Lookup by id failed');
+            res = await this.request('/index-db/members/_indexes', { method: 'GET' });
+            assert.deepStrictEqual(res.data.indexes.map(i => i.field), ['id', 'email', 'team'], 'Index listing mismatch');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 26. Extended schema constraints
+            process.stdout.write('26. Testing Extended Schema Constraints...');
+            res = await this.request('/rules-db/accounts', {
+                method: 'POST',
+                body: JSON.stringify({
+                    _schema: {
+                        email: { type: 'Email', required: true },
+                        plan: { type: 'String', enum: ['free', 'pro'], default: 'free' },
+                        seats: { type: 'Number', min: 1, max: 50 },
+                        handle: { type: 'String', minLength: 3, pattern: '^[a-z]+$' },
+                        tags: { type: 'Array', maxLength: 2, items: 'String' },
+                        address: { type: 'Object', schema: { zip: { type: 'String', pattern: '^[0-9]{5}$' } } },
+                        ownerId: 'UUID',
+                        site: 'URL'
+                    },
+                    email: 'ada@example.com',
+                    ownerId: '3f0b8c1e-2a4d-4f7e-9b1a-5c6d7e8f9a0b',
+                    site: 'https://example.com'
+                })
+            });
+            assert.strictEqual(res.status, 201, `Valid record rejected: ${JSON.stringify(res.data)}`);
+            assert.strictEqual(res.data.plan, 'free', 'Default not applied');
+            res = await this.request('/rules-db/accounts', {
+                method: 'POST',
+                body: JSON.stringify({ plan: 'gold', seats: 0, handle: 'A', tags: ['a', 'b', 3], address: { zip: 'abc' }, ownerId: 'nope', site: 'not a url' })
+            });
+            assert.strictEqual(res.status, 400, 'Invalid record should be rejected');
+            const failed = res.data.errors.map(e => `${e.field}:${e.rule}`);
+            assert.deepStrictEqual(failed, [
+                'email:required', 'plan:enum', 'seats:min', 'handle:minLength', 'handle:pattern',
+                'tags:maxLength', 'tags[2]:type', 'address.zip:pattern', 'ownerId:type', 'site:type'
+            ], 'Not all validation errors reported');
+            res = await this.request('/rules-db/accounts/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'score', type: 'Number', pattern: '([' }) });
+            assert.strictEqual(res.status, 400, 'Invalid column definition should be rejected');
+            res = await this.request('/rules-db/accounts/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'slug', type: 'String', pattern: '^([a-z]+-?)*$' }) });
+            assert.strictEqual(res.status, 400, 'Schema pattern with nested quantifiers should be rejected');
+            res = await this.request('/rules-db/accounts/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'slug', type: 'String', pattern: 'x'.repeat(101) }) });
+            assert.strictEqual(res.status, 400, 'Oversized schema pattern should be rejected');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 27. JSON Schema import/export
+            process.stdout.write('27. Testing JSON Schema Import/Export...');
+            const productSchema = {
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                title: 'Product',
+                type: 'object',
+                properties: {
+                    sku: { type: 'string', pattern: '^[A-Z]{3}-[0-9]+$' },
+                    qty: { type: 'integer', minimum: 0 },
+                    tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+                    vendor: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] }
+                },
+                required: ['sku', 'qty'],
+                additionalProperties: false
+            };
+            res = await this.request('/json-db/products/_jsonschema', { method: 'PUT', body: JSON.stringify(productSchema) });
+            assert.strictEqual(res.status, 201, `JSON Schema import failed: ${JSON.stringify(res.data)}`);
+            res = await this.request('/json-db/products', { method: 'POST', body: JSON.stringify({ sku: 'ABC-1', qty: 2, vendor: { email: 'v@shop.io' } }) });
+            assert.strictEqual(res.status, 201, `Valid product rejected: ${JSON.stringify(res.data)}`);
+            res = await this.request('/json-db/products', { method: 'POST', body: JSON.stringify({ sku: 'abc', qty: 1.5, color: 'red', vendor: {} }) });
+            assert.strictEqual(res.status, 400, 'Invalid product should be rejected');
+            assert.deepStrictEqual(res.data.errors.map(e => `${e.field}:${e.rule}`), ['sku:pattern', 'qty:type', 'vendor.email:required', 'color:strict'], 'JSON Schema semantics not enforced');
+            res = await this.request('/json-db/products/_jsonschema', { method: 'PUT', body: JSON.stringify({ type: 'object', properties: { a: { anyOf: [{ type: 'string' }] } } }) });
+            assert.strictEqual(res.status, 400, 'Unsupported keywords should be rejected');
+            res = await this.request('/json-db/products/_jsonschema', { method: 'GET' });
+            assert.strictEqual(res.status, 200, 'JSON Schema export failed');
+            assert.deepStrictEqual(res.data.required, ['sku', 'qty'], 'Exported required mismatch');
+            assert.strictEqual(res.data.additionalProperties, false, 'Exported strictness mismatch');
+            assert.strictEqual(res.data.properties.vendor.properties.email.format, 'email', 'Exported format mismatch');
+            const exported = res.data;
+            res = await this.request('/json-db/products/_jsonschema', { method: 'PUT', body: JSON.stringify(exported) });
+            assert.strictEqual(res.status, 200, `Round trip import failed: ${JSON.stringify(res.data)}`);
+            res = await this.request('/json-db/products/_jsonschema', { method: 'GET' });
+            assert.deepStrictEqual(res.data, exported, 'JSON Schema round trip changed the schema');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data.required)}`);
+
+            // 28. Primary key strategies & unique constraints
+            process.stdout.write('28. Testing Primary Keys & Unique Constraints...');
+            res = await this.request('/pk-db/orders/_primarykey', { method: 'PUT', body: JSON.stringify({ strategy: 'autoIncrement' }) });
+            assert.strictEqual(res.status, 201, `Primary key configuration failed: ${JSON.stringify(res.data)}`);
+            const first = await this.request('/pk-db/orders', { method: 'POST', body: JSON.stringify({ item: 'pen' }) });
+            const second = await this.request('/pk-db/orders', { method: 'POST', body: JSON.stringify({ item: 'ink' }) });
+            assert.deepStrictEqual([first.data.id, second.data.id], [1, 2], 'Auto-increment ids mismatch');
+            await this.request('/pk-db/orders/2', { method: 'DELETE' });
+            res = await this.request('/pk-db/orders', { method: 'POST', body: JSON.stringify({ item: 'cap' }) });
+            assert.strictEqual(res.data.id, 3, 'Auto-increment must not reuse ids');
+            await this.request('/pk-db/orders/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'item', type: 'String', unique: true }) });
+            res = await this.request('/pk-db/orders', { method: 'POST', body: JSON.stringify({ item: 'cap' }) });
+            assert.strictEqual(res.status, 409, 'Duplicate unique value should be rejected');
+            res = await this.request('/pk-db/orders', { method: 'POST', body: JSON.stringify({ item: 'nib' }) });
+            assert.strictEqual(res.data.id, 4, 'A rejected insert must not use up an auto-increment id');
+            res = await this.request('/pk-db/orders/1', { method: 'PATCH', body: JSON.stringify({ item: 'pencil' }) });
+            assert.deepStrictEqual(res.data, { id: 1, item: 'pencil' }, 'Numeric id lookup/update failed');
+            res = await this.request('/pk-db/orders/1', { method: 'PUT', body: JSON.stringify({ id: 9, item: 'x' }) });
+            assert.strictEqual(res.status, 400, 'Primary key change should be rejected');
+            await this.request('/pk-db/tags', { method: 'POST', body: JSON.stringify({ label: 'uuid keyed' }) });
+            res = await this.request('/pk-db/tags/_primarykey', { method: 'PUT', body: JSON.stringify({ strategy: 'autoIncrement' }) });
+            assert.strictEqual(res.status, 409, 'Switching a table with uuid ids to autoIncrement should be rejected');
+            res = await this.request('/pk-db/skus/_primarykey', { method: 'PUT', body: JSON.stringify({ strategy: 'client', field: 'sku' }) });
+            await this.request('/pk-db/skus/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'ean', type: 'String', unique: true }) });
+            res = await this.request('/pk-db/skus', { method: 'POST', body: JSON.stringify({ sku: 'ABC-1', ean: '400' }) });
+            assert.strictEqual(res.data.id, 'ABC-1', 'Client primary key not used as id');
+            res = await this.request('/pk-db/skus', { method: 'POST', body: JSON.stringify({ ean: '401' }) });
+            assert.strictEqual(res.status, 400, 'Missing client primary key should be rejected');
+            res = await this.request('/pk-db/skus', { method: 'POST', body: JSON.stringify({ sku: 'ABC-1', ean: '402' }) });
+            assert.strictEqual(res.status, 409, 'Duplicate primary key should be rejected');
+            res = await this.request('/pk-db/skus', { method: 'POST', body: JSON.stringify({ sku: 'ABC-2', ean: '400' }) });
+            assert.strictEqual(res.status, 409, 'Duplicate unique column should be rejected');
+            await this.request('/pk-db/skus', { method: 'POST', body: JSON.stringify({ sku: 'ABC-3', ean: '403' }) });
+            res = await this.request('/pk-db/skus/ABC-3', { method: 'PATCH', body: JSON.stringify({ ean: '400' }) });
+            assert.strictEqual(res.status, 409, 'Unique column must be enforced on PATCH');
+            res = await this.request('/pk-db/skus/ABC-1', { method: 'GET' });
+            assert.deepStrictEqual(res.data, { id: 'ABC-1', sku: 'ABC-1', ean: '400' }, 'Natural key lookup failed');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 29. Foreign keys
+            process.stdout.write('29. Testing Foreign Key Constraints...');
+            const author = await this.request('/fk-db/authors', { method: 'POST', body: JSON.stringify({ name: 'Le Guin' }) });
+            await this.request('/fk-db/books', { method: 'POST', body: JSON.stringify({ _schema: { authorId: { type: 'String', ref: 'authors', onDelete: 'cascade' } } }) });
+            await this.request('/fk-db/reviews', { method: 'POST', body: JSON.stringify({ _schema: { bookId: { type: 'String', ref: 'books', onDelete: 'set null' } } }) });
+            await this.request('/fk-db/loans', { method: 'POST', body: JSON.stringify({ _schema: { bookId: { type: 'String', ref: 'books', onDelete: 'restrict' } } }) });
+            res = await this.request('/fk-db/books', { method: 'POST', body: JSON.stringify({ title: 'Ghost', authorId: 'missing' }) });
+            assert.strictEqual(res.status, 409, 'Dangling reference should be rejected');
+            assert.strictEqual(res.data.violations[0].table, 'authors', 'Violation details missing');
+            const book = await this.request('/fk-db/books', { method: 'POST', body: JSON.stringify({ title: 'Earthsea', authorId: author.data.id }) });
+            assert.strictEqual(book.status, 201, `Valid reference rejected: ${JSON.stringify(book.data)}`);
+            const review = await this.request('/fk-db/reviews', { method: 'POST', body: JSON.stringify({ bookId: book.data.id, stars: 5 }) });
+            const loan = await this.request('/fk-db/loans', { method: 'POST', body: JSON.stringify({ bookId: book.data.id }) });
+            res = await this.request(`/fk-db/loans/${loan.data.id}`, { method: 'PATCH', body: JSON.stringify({ bookId: 'nope' }) });
+            assert.strictEqual(res.status, 409, 'Dangling reference should be rejected on PATCH');
+            res = await this.request(`/fk-db/authors/${author.data.id}`, { method: 'DELETE' });
+            assert.strictEqual(res.status, 409, 'Restricted delete should be rejected');
+            assert.deepStrictEqual(res.data.references, [loan.data.id], 'Restrict details missing');
+            // A soft-deleted loan no longer restricts its book
+            await this.request('/fk-db/loans/_options', { method: 'PATCH', body: JSON.stringify({ softDelete: true }) });
+            await this.request(`/fk-db/loans/${loan.data.id}`, { method: 'DELETE' });
+            res = await this.request(`/fk-db/authors/${author.data.id}`, { method: 'DELETE' });
+            assert.strictEqual(res.status, 204, 'Cascading delete failed');
+            res = await this.request('/fk-db/books', { method: 'GET' });
+            assert.strictEqual(res.data.length, 0, 'Cascade did not delete child records');
+            res = await this.request(`/fk-db/reviews/${review.data.id}`, { method: 'GET' });
+            assert.strictEqual(res.data.bookId, null, 'Set null was not applied');
+            await this.request('/fk-db/authors', { method: 'POST', body: JSON.stringify({ name: 'Butler' }) });
+            const kept = await this.request('/fk-db/books', { method: 'POST', body: JSON.stringify({ title: 'Kindred' }) });
+            const butler = await this.request('/fk-db/authors', { method: 'GET' });
+            await this.request(`/fk-db/books/${kept.data.id}`, { method: 'PATCH', body: JSON.stringify({ authorId: butler.data[0].id }) });
+            res = await this.request('/fk-db/authors', { method: 'DELETE' });
+            assert.strictEqual(res.status, 204, 'Table delete failed');
+            res = await this.request('/fk-db/books', { method: 'GET' });
+            assert.strictEqual(res.data.length, 0, 'Table delete did not cascade');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 30. Schema migrations
+            process.stdout.write('30. Testing Schema Migration (dry run & apply)...');
+            for (const row of [{ age: '42', nick: 'al', legacy: 1 }, { age: 7, nick: 'bo' }, { age: 'n/a', nick: 'cy' }]) {
+                await this.request('/mig-db/people', { method: 'POST', body: JSON.stringify(row) });
+            }
+            const migration = {
+                operations: [
+                    { op: 'changeType', field: 'age', type: 'Number' },
+                    { op: 'rename', field: 'nick', to: 'nickname' },
+                    { op: 'drop', field: 'legacy' }
+                ]
+            };
+            res = await this.request('/mig-db/people/_migrate', { method: 'POST', body: JSON.stringify({ ...migration, dryRun: true }) });
+            assert.strictEqual(res.status, 200, `Dry run failed: ${JSON.stringify(res.data)}`);
+            assert.deepStrictEqual(res.data.failures.map(f => f.value), ['n/a'], 'Dry run should report unconvertible values');
+            res = await this.request('/mig-db/people/_migrate', { method: 'POST', body: JSON.stringify(migration) });
+            assert.strictEqual(res.status, 409, 'Migration with failures should be aborted');
+            res = await this.request('/mig-db/people', { method: 'GET' });
+            assert.strictEqual(res.data[0].age, '42', 'Aborted migration must not touch records');
+            await this.request(`/mig-db/people/${res.data[2].id}`, { method: 'PATCH', body: JSON.stringify({ age: '19' }) });
+            res = await this.request('/mig-db/people/_migrate', { method: 'POST', body: JSON.stringify(migration) });
+            assert.strictEqual(res.status, 200, `Migration failed: ${JSON.stringify(res.data)}`);
+            assert.deepStrictEqual(res.data.schema, { age: 'Number' }, 'Migrated schema mismatch');
+            res = await this.request('/mig-db/people', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(({ id, ...rest }) => rest), [
+                { age: 42, nickname: 'al' }, { age: 7, nickname: 'bo' }, { age: 19, nickname: 'cy' }
+            ], 'Records were not migrated');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 31. Timestamps & soft delete
+            process.stdout.write('31. Testing Timestamps & Soft Delete...');
+            res = await this.request('/soft-db/notes/_options', { method: 'PATCH', body: JSON.stringify({ timestamps: true, softDelete: true }) });
+            assert.strictEqual(res.status, 201, `Table options failed: ${JSON.stringify(res.data)}`);
+            const note = await this.request('/soft-db/notes', { method: 'POST', body: JSON.stringify({ text: 'draft', createdAt: 'forged' }) });
+            assert.ok(note.data.createdAt !== 'forged' && note.data.createdAt === note.data.updatedAt, 'createdAt/updatedAt not stamped');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            res = await this.request(`/soft-db/notes/${note.data.id}`, { method: 'PATCH', body: JSON.stringify({ text: 'final' }) });
+            assert.strictEqual(res.data.createdAt, note.data.createdAt, 'createdAt must not change on update');
+            assert.ok(res.data.updatedAt > note.data.updatedAt, 'updatedAt not refreshed');
+            await this.request('/soft-db/notes', { method: 'POST', body: JSON.stringify({ text: 'keep' }) });
+            res = await this.request(`/soft-db/notes/${note.data.id}`, { method: 'DELETE' });
+            assert.strictEqual(res.status, 204, 'Soft delete failed');
+            res = await this.request('/soft-db/notes', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(n => n.text), ['keep'], 'Soft-deleted record should be hidden');
+            res = await this.request(`/soft-db/notes/${note.data.id}`, { method: 'GET' });
+            assert.strictEqual(res.status, 404, 'Soft-deleted record should be hidden by id');
+            res = await this.request('/soft-db/notes?_withDeleted=true', { method: 'GET' });
+            assert.strictEqual(res.data.length, 2, '_withDeleted should include deleted records');
+            assert.ok(res.data[0].deletedAt, 'deletedAt not set');
+            res = await this.request(`/soft-db/notes/${note.data.id}/_restore`, { method: 'POST' });
+            assert.strictEqual(res.status, 200, 'Restore failed');
+            assert.strictEqual(res.data.deletedAt, undefined, 'Restore should clear deletedAt');
+            await this.request(`/soft-db/notes/${note.data.id}`, { method: 'DELETE' });
+            res = await this.request('/soft-db/notes/_purge', { method: 'POST', body: JSON.stringify({}) });
+            assert.strictEqual(res.data.purged, 1, 'Purge count mismatch');
+            res = await this.request('/soft-db/notes?_withDeleted=true', { method: 'GET' });
+            assert.deepStrictEqual(res.data.map(n => n.text), ['keep'], 'Purge did not remove the record');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 32. Schema inference
+            process.stdout.write('32. Testing Schema Inference...');
+            for (const row of [
+                { status: 'open', score: 3, owner: 'ann@x.io', due: '2026-01-02', meta: { v: 1 }, code: 'A1' },
+                { status: 'closed', score: 5, owner: 'bo@x.io', due: null, meta: { v: 2 }, code: 7 },
+                { status: 'open', score: 4, owner: 'cy@x.io', meta: { v: 3 }, code: 'B2' }
+            ]) {
+                await this.request('/infer-db/tasks', { method: 'POST', body: JSON.stringify(row) });
+            }
+            res = await this.request('/infer-db/tasks/_infer', { method: 'GET' });
+            assert.strictEqual(res.status, 200, 'Inference failed');
+            const byField = Object.fromEntries(res.data.fields.map(f => [f.field, f]));
+            assert.deepStrictEqual(byField.status.enumCandidates, ['closed', 'open'], 'Enum candidates mismatch');
+            assert.strictEqual(byField.owner.type, 'Email', 'Format not detected');
+            assert.strictEqual(byField.due.nullable, true, 'Nullability not detected');
+            assert.strictEqual(byField.code.conflict, true, 'Type conflict not detected');
+            assert.strictEqual(res.data.warnings.length, 1, 'Conflict warning missing');
+            res = await this.request('/infer-db/tasks/_infer', { method: 'POST', body: JSON.stringify({}) });
+            assert.deepStrictEqual(res.data.schema, {
+                status: { type: 'String', required: true },
+                score: { type: 'Number', required: true },
+                owner: { type: 'Email', required: true },
+                due: 'Date',
+                meta: { type: 'Object', required: true, schema: { v: { type: 'Number', required: true } } }
+            }, 'Applied schema mismatch');
+            res = await this.request('/infer-db/tasks', { method: 'POST', body: JSON.stringify({ status: 'open', score: 'high', owner: 'x', meta: {} }) });
+            assert.strictEqual(res.status, 400, 'Applied schema should validate new records');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 33. GraphQL
+            process.stdout.write('33. Testing GraphQL Queries & Mutations...');
+            const graphql = (query, variables) => this.request('/graphql', { method: 'POST', body: JSON.stringify({ query, variables }) });
+            await this.request('/gql-db/books', {
+                method: 'POST',
+                body: JSON.stringify({ _schema: { title: { type: 'String', required: true }, year: 'Integer' } })
+            });
+            res = await graphql('mutation($data: JSON!) { create_gql_db_books(data: $data) { id title year } }', { data: { title: 'Dune', year: 1965 } });
+            assert.strictEqual(res.status, 200, `Create mutation failed: ${JSON.stringify(res.data)}`);
+            const bookId = res.data.data.create_gql_db_books.id;
+            await graphql('mutation { create_gql_db_books(data: { title: "Emma", year: 1815 }) { id } }');
+            res = await graphql('mutation { create_gql_db_books(data: { year: "new" }) { id } }');
+            assert.strictEqual(res.data.errors[0].extensions.status, 400, 'Schema validation not applied');
+            assert.strictEqual(res.data.errors[0].extensions.errors.length, 2, 'Validation errors missing');
+            res = await graphql('query($filter: JSON) { gql_db_books(filter: $filter, sort: { year: 1 }, limit: 1) { total items { title } } }', { filter: { year: { $gte: 1800 } } });
+            assert.deepStrictEqual(res.data.data.gql_db_books, { total: 2, items: [{ title: 'Emma' }] }, 'Filtered page mismatch');
+            res = await graphql(`mutation { update_gql_db_books(id: "${bookId}", data: { year: 1966 }) { title year } }`);
+            assert.deepStrictEqual(res.data.data.update_gql_db_books, { title: 'Dune', year: 1966 }, 'Update mutation failed');
+            res = await graphql(`mutation { delete_gql_db_books(id: "${bookId}") }`);
+            assert.strictEqual(res.data.data.delete_gql_db_books, true, 'Delete mutation failed');
+            res = await graphql(`{ gql_db_books_by_id(id: "${bookId}") { id } }`);
+            assert.strictEqual(res.data.data.gql_db_books_by_id, null, 'Deleted record still found');
+            res = await graphql('{ gql_db_books { missing } }');
+            assert.strictEqual(res.status, 400, 'Invalid query should return 400');
+            await this.request('/gql-db/authors', { method: 'POST', body: JSON.stringify({ _schema: { name: 'String', _json: 'String' } }) });
+            await this.request('/gql-db/books/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'authorId', type: 'String', ref: 'authors' }) });
+            await this.request('/gql-db/authors/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'favoriteBookId', type: 'String', ref: 'books' }) });
+            res = await graphql('{ gql_db_authors { items { name _json _json_2 favoriteBook { author { id } } } } }');
+            assert.strictEqual(res.status, 200, `Schema cache should pick up new tables and columns: ${JSON.stringify(res.data)}`);
+            res = await graphql('{ gql_db_books { items { author { favoriteBook { author { favoriteBook { author { favoriteBook { author { favoriteBook { title } } } } } } } } } } }');
+            assert.strictEqual(res.status, 400, 'Queries nested beyond the depth limit should be rejected');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // 34. OpenAPI document & docs page
+            process.stdout.write('34. Testing OpenAPI Spec & Docs Page...');
+            res = await this.request('/openapi.json', { method: 'GET' });
+            assert.strictEqual(res.status, 200, 'OpenAPI document failed');
+            assert.strictEqual(res.data.openapi, '3.1.0', 'Not an OpenAPI 3.1 document');
+            assert.deepStrictEqual(Object.keys(res.data.components.securitySchemes), ['userId', 'bearerAuth', 'apiKey'], 'Auth schemes missing');
+            assert.ok(res.data.paths['/gql-db/books'].post, 'Create operation missing');
+            assert.ok(res.data.paths['/gql-db/books/{id}'].patch, 'Patch operation missing');
+            assert.deepStrictEqual(res.data.components.schemas['gql-db.books'].properties.year, { type: ['integer', 'null'] }, 'Column type not exported');
+            assert.deepStrictEqual(res.data.components.schemas['gql-db.books'].required, ['title'], 'Required columns not exported');
+            const docsPage = await fetch(`${this.baseUrl}/docs`);
+            const docsHtml = await docsPage.text();
+            assert.strictEqual(docsPage.status, 200, 'Docs page failed');
+            assert.ok(!/src="https?:/.test(docsHtml), 'Docs page should not load scripts from a CDN');
+            assert.strictEqual((await fetch(`${this.baseUrl}/docs/assets/swagger-ui-bundle.js`)).status, 200, 'Docs assets not served');
+            console.log(` ✅ OK (Status: ${res.status}) - Paths: ${Object.keys(res.data.paths).length}`);
+
+            // 35. Change feed over SSE & WebSocket
+            process.stdout.write('35. Testing Change Feed (SSE & WebSocket)...');
+            res = await this.request('/missing-feed-db/_changes', { method: 'GET' });
+            assert.strictEqual(res.status, 404, 'Feed of a missing container should be 404');
+            res = await fetch(`${this.baseUrl}/feed-db/_changes?token=${this.token}`);
+            assert.strictEqual(res.status, 401, 'SSE should not accept ?token=');
+            await this.request('/feed-db/archive', { method: 'POST', body: JSON.stringify({ text: 'seed' }) });
+            const sseEvents = [];
+            const sseAbort = new AbortController();
+            const sse = await fetch(`${this.baseUrl}/feed-db/_changes`, { headers: { 'x-user-id': this.userId, 'CSRF-Token': this.token }, signal: sseAbort.signal });
+            assert.strictEqual(sse.headers.get('content-type').split(';')[0], 'text/event-stream', 'SSE stream not opened');
+            const sseDone = (async () => {
+                const decoder = new TextDecoder();
+                let buffer = '';
+                try {
+                    for await (const chunk of sse.body) {
+                        buffer += decoder.decode(chunk);
+                        const frames = buffer.split('\n\n');
+                        buffer = frames.pop();
+                        frames.filter(frame => frame.startsWith('data: ')).forEach(frame => sseEvents.push(JSON.parse(frame.slice(6))));
+                    }
+                } catch { /* aborted */ }
+            })();
+
+            const socketEvents = [];
+            const socket = new WebSocket(`${this.baseUrl.replace(/^http/, 'ws')}/_changes`, { headers: { 'x-user-id': this.userId, 'Authorization': `Bearer ${this.token}` } });
+            socket.on('message', message => socketEvents.push(JSON.parse(message)));
+            await new Promise((resolve, reject) => { socket.on('open', resolve); socket.on('error', reject); });
+            socket.send(JSON.stringify({ action: 'subscribe', container: 'feed-db', table: 'notes' }));
+            const waitFor = async (events, count) => {
+                for (let i = 0; i < 50 && events.length < count; i++) await new Promise(resolve => setTimeout(resolve, 20));
+            };
+            await waitFor(socketEvents, 1);
+            await waitFor(sseEvents, 1);
+
+            res = await this.request('/feed-db/notes', { method: 'POST', body: JSON.stringify({ text: 'draft' }) });
+            const noteId = res.data.id;
+            await this.request(`/feed-db/notes/${noteId}`, { method: 'PATCH', body: JSON.stringify({ text: 'final' }) });
+            await this.request('/feed-db/archive', { method: 'POST', body: JSON.stringify({ text: 'other table' }) });
+            await this.request('/feed-db/notes/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'text', type: 'String' }) });
+            await this.request(`/feed-db/notes/${noteId}`, { method: 'DELETE' });
+            res = await this.request('/feed-db/notes', { method: 'DELETE' });
+            await waitFor(socketEvents, 6);
+            await waitFor(sseEvents, 7);
+            socket.close();
+            sseAbort.abort();
+            await sseDone;
+
+            const describe = event => [event.type, event.table, event.change].filter(Boolean).join(':');
+            assert.deepStrictEqual(socketEvents.map(describe), ['subscribed:notes', 'insert:notes', 'update:notes', 'schema:notes:schema', 'delete:notes', 'drop:notes'], 'WebSocket events mismatch');
+            assert.deepStrictEqual(sseEvents.map(describe), ['subscribed', 'insert:notes', 'update:notes', 'insert:archive', 'schema:notes:schema', 'delete:notes', 'drop:notes'], 'SSE events mismatch');
+            assert.strictEqual(socketEvents[2].record.text, 'final', 'Update event should carry the record');
+            console.log(` ✅ OK (Status: ${res.status}) - Events: ${sseEvents.map(describe).join(', ')}`);
+
             console.log(`\n🎉 All typed validation tests passed successfully!\n`);
 
             // --- SECURITY & VALIDATION TESTS ---
@@ -238,6 +876,40 @@ class JdmMockerTester {
             assert.strictEqual(res.status, 403, 'Should return 403 Forbidden for viewer');
             console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
 
+            // S4b. Viewer cannot change schema definitions
+            process.stdout.write('S4b. Testing RBAC (Viewer trying to PATCH schema-definition)...');
+            res = await this.request('/test-db/users/schema-definition', { method: 'PATCH', body: JSON.stringify({ name: 'age', type: 'Number' }) });
+            assert.strictEqual(res.status, 403, 'Should return 403 Forbidden for viewer');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
+            // S4c. Per-table role permissions
+            process.stdout.write('S4c. Testing per-table role permissions...');
+            res = await this.request('/auth/login', { method: 'POST', body: JSON.stringify({ role: 'admin', expiresIn: 30000 }) });
+            this.token = res.data.token;
+            await this.request('/shop/orders', { method: 'POST', body: JSON.stringify({ total: 10 }) });
+            await this.request('/shop/cart', { method: 'POST', body: JSON.stringify({ sku: 'A1' }) });
+            res = await this.request('/containers/shop/permissions', {
+                method: 'PUT',
+                body: JSON.stringify({ permissions: { cashier: { read: ['orders'], write: ['cart'] }, intern: { read: [] } } })
+            });
+            assert.strictEqual(res.status, 200, 'Setting permissions failed');
+
+            res = await this.request('/auth/login', { method: 'POST', body: JSON.stringify({ role: 'cashier', expiresIn: 30000 }) });
+            this.token = res.data.token;
+            res = await this.request('/shop/orders', { method: 'GET' });
+            assert.strictEqual(res.status, 200, 'Cashier should read orders');
+            res = await this.request('/shop/orders', { method: 'POST', body: JSON.stringify({ total: 5 }) });
+            assert.strictEqual(res.status, 403, 'Cashier should not write orders');
+            res = await this.request('/shop/cart', { method: 'POST', body: JSON.stringify({ sku: 'B2' }) });
+            assert.strictEqual(res.status, 201, 'Cashier should write cart');
+            res = await this.request('/containers/shop/permissions', { method: 'GET' });
+            assert.strictEqual(res.status, 403, 'Only admins may manage permissions');
+            res = await this.request('/auth/login', { method: 'POST', body: JSON.stringify({ role: 'intern', expiresIn: 30000 }) });
+            this.token = res.data.token;
+            res = await this.request('/shop/_changes', { method: 'GET' });
+            assert.strictEqual(res.status, 403, 'Roles without table access should not follow the container feed');
+            console.log(` ✅ OK (Status: ${res.status}) - Response: ${JSON.stringify(res.data)}`);
+
             // S5. Expired Token
             process.stdout.write('S5. Testing Expired Token...');
             res = await this.request('/auth/login', { method: 'POST', body: JSON.stringify({ role: 'admin', expiresIn: 100 }) });
@@ -263,12 +935,51 @@ class JdmMockerTester {
     }
 }
 
+// Starts server.js with STORE_DATA_IN=<store> and a throwaway data directory; resolves once it answers
+async function startServer(store, port) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `jdm-test-${store}-`));
+    const server = spawn(process.execPath, [path.join(__dirname, 'server.js'), '--port', String(port), '--db-dir', dataDir], {
+        env: { ...process.env, STORE_DATA_IN: store, ADMIN_EMAIL, ADMIN_PASSWORD },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    // Kept quiet (the suite provokes plenty of auth warnings) unless the server fails to start
+    let stderr = '';
+    server.stderr.on('data', chunk => { stderr += chunk; });
+    process.on('exit', () => {
+        server.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (server.exitCode !== null) throw new Error(`Server exited with code ${server.exitCode}\n${stderr}`);
+        try {
+            await fetch(`http://localhost:${port}/index.html`);
+            return server;
+        } catch {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error(`Server did not start on port ${port}`);
+}
+
 // Execution block
 if (require.main === module) {
-    // If a port is passed as an argument, use it; otherwise default to 3000
-    const port = process.env.PORT || 3000;
-    const tester = new JdmMockerTester(`http://localhost:${port}`);
-    tester.runTests();
+    // `--store <mode>` runs the suite against its own server (npm run test:memory / test:sqlite);
+    // without it the suite targets a server that is already running on PORT (default 3000)
+    const storeIndex = process.argv.indexOf('--store');
+    const store = storeIndex > -1 ? process.argv[storeIndex + 1] : null;
+    const port = process.env.PORT || (store ? 3100 : 3000);
+
+    (async () => {
+        const server = store ? await startServer(store, port) : null;
+        if (store) console.log(`🗄️ Running against STORE_DATA_IN=${store} on port ${port}\n`);
+        const tester = new JdmMockerTester(`http://localhost:${port}`);
+        await tester.runTests();
+        if (server) process.exit(0);
+    })().catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    });
 }
 
 module.exports = JdmMockerTester;